@@ -1,19 +1,75 @@
 // Enhanced Main Application Module
 class PortfolioApp {
-    constructor() {
-        this.tracker = interactionTracker;
-        this.evolutionEngine = new EvolutionEngine(this.tracker);
+    constructor(storage, content, i18n, { clock = systemClock } = {}) {
+        this.storage = storage;
+        this.content = content;
+        this.i18n = i18n;
+        this.clock = clock;
+        this.consent = new ConsentManager(storage, clock);
+        this.beacon = this.createAnalyticsBeacon();
+        this.tracker = new InteractionTracker(this.consent, storage, this.beacon, new VisitorSegments(), clock);
+        this.accessibility = new AccessibilityManager({ clock });
+        this.theme = new ThemeManager({ storage, accessibility: this.accessibility });
+        this.evolutionEngine = new EvolutionEngine(this.tracker, {
+            content,
+            i18n,
+            accessibility: this.accessibility,
+            theme: this.theme,
+            autoStart: false
+        });
+        this.contactForm = this.createContactForm();
         this.init();
     }
 
+    // Opt-in upload to a self-hosted collector:
+    // <html data-analytics-endpoint="http://localhost:8787/collect" data-analytics-sample-rate="0.5">
+    createAnalyticsBeacon() {
+        const { analyticsEndpoint, analyticsSampleRate } = document.documentElement.dataset;
+        if (!analyticsEndpoint) return null;
+
+        return new AnalyticsBeacon({
+            endpoint: analyticsEndpoint,
+            sampleRate: analyticsSampleRate ? parseFloat(analyticsSampleRate) : 1,
+            consent: this.consent,
+            storage: this.storage,
+            clock: this.clock
+        });
+    }
+
+    // Messages go to <html data-contact-endpoint="http://localhost:8788/contact"> (see server/contact.js)
+    createContactForm() {
+        const form = document.querySelector('.contact-form');
+        if (!form) return null;
+
+        return new ContactForm({
+            form,
+            endpoint: document.documentElement.dataset.contactEndpoint,
+            storage: this.storage,
+            i18n: this.i18n,
+            notify: (message, type) => this.showNotification(message, type),
+            onSent: () => this.evolutionEngine.recordConversion('contact_submit'),
+            getSummary: () => (this.tracker.isTracking() ? this.tracker.getEngagementSummary() : null),
+            clock: this.clock
+        });
+    }
+
     init() {
+        // Restores the evolved layout before anything is shown so it doesn't evolve again on screen
+        this.evolutionEngine.start();
         this.setupEventListeners();
+        this.setupLocale();
+        this.setupTheme();
+        this.setupConsent();
         this.applySavedPreferences();
         this.setupSmoothScrolling();
         this.setupAnimations();
         this.createParticles();
+        this.accessibility.onChange(() => this.createParticles());
         this.animateSkillBars();
         this.animateStats();
+        this.projectModal = new ProjectModal(this.tracker, this.content, this.i18n, { clock: this.clock });
+        this.heatmap = new ClickHeatmapOverlay(this.tracker, this.i18n);
+        this.dashboard = new OwnerDashboard(this, { clock: this.clock });
     }
 
     setupEventListeners() {
@@ -44,19 +100,20 @@ class PortfolioApp {
         const projectCards = document.querySelectorAll('.project-card');
         projectCards.forEach(card => {
             card.addEventListener('click', () => {
-                this.tracker.trackClick('projects');
+                this.tracker.trackProjectClick(card.dataset.project);
             });
         });
 
         // CTA buttons
         const exploreBtn = document.getElementById('exploreProjects');
         const contactHeroBtn = document.getElementById('contactHero');
-        const projectCtAs = document.querySelectorAll('.project-cta');
+        const projectCtAs = document.querySelectorAll('.project-cta, .project-actions .icon-btn');
 
         if (exploreBtn) {
             exploreBtn.addEventListener('click', () => {
                 this.scrollToSection('projects');
                 this.tracker.trackClick('cta');
+                this.evolutionEngine.recordConversion('cta_click');
             });
         }
 
@@ -64,15 +121,17 @@ class PortfolioApp {
             contactHeroBtn.addEventListener('click', () => {
                 this.scrollToSection('contact');
                 this.tracker.trackClick('cta');
+                this.evolutionEngine.recordConversion('cta_click');
             });
         }
 
         projectCtAs.forEach(cta => {
             cta.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.tracker.trackClick('projects');
-                // In a real app, this would open project details
-                this.showProjectModal(e.target.closest('.project-card').dataset.project);
+                const project = e.target.closest('.project-card').dataset.project;
+                this.tracker.trackProjectCta(project);
+                this.evolutionEngine.recordConversion('project_cta');
+                this.showProjectModal(project);
             });
         });
 
@@ -90,7 +149,20 @@ class PortfolioApp {
         const closeNotice = document.getElementById('closeNotice');
         if (closeNotice) {
             closeNotice.addEventListener('click', () => {
-                this.hideEvolutionNotice();
+                this.evolutionEngine.hideEvolutionNotice();
+            });
+        }
+
+        // Undo the evolution the notice announced
+        const undoEvolution = document.getElementById('undoEvolution');
+        if (undoEvolution) {
+            undoEvolution.addEventListener('click', () => {
+                const notice = document.getElementById('evolutionNotice');
+                const rule = notice?.dataset.rule;
+                if (rule && this.evolutionEngine.rejectEvolution(rule)) {
+                    this.showNotification(this.i18n.t('notice.undone'), 'info');
+                }
+                this.evolutionEngine.hideEvolutionNotice();
             });
         }
 
@@ -103,6 +175,77 @@ class PortfolioApp {
         }
     }
 
+    setupConsent() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+
+        const consent = this.consent;
+        const analytics = document.getElementById('consentAnalytics');
+        const personalization = document.getElementById('consentPersonalization');
+        const signal = consent.getPrivacySignal();
+
+        if (signal) {
+            const signalText = document.getElementById('consentSignal');
+            signalText.dataset.i18n = 'consent.signal';
+            signalText.dataset.i18nParams = JSON.stringify({ signal });
+            this.i18n.translate(banner);
+            signalText.hidden = false;
+            [analytics, personalization, document.getElementById('consentAccept'), document.getElementById('consentSave')]
+                .forEach(control => {
+                    control.disabled = true;
+                });
+        }
+
+        const decide = (choices, message) => {
+            consent.update(choices);
+            this.hideConsentBanner();
+            if (message) this.showNotification(message, 'info');
+        };
+
+        document.getElementById('consentAccept').addEventListener('click', () => {
+            decide({ analytics: true, personalization: true }, this.i18n.t('consent.thanks'));
+        });
+
+        document.getElementById('consentSave').addEventListener('click', () => {
+            decide({ analytics: analytics.checked, personalization: personalization.checked }, this.i18n.t('consent.saved'));
+        });
+
+        document.getElementById('consentReject').addEventListener('click', () => {
+            decide({ analytics: false, personalization: false });
+        });
+
+        document.getElementById('consentWithdraw').addEventListener('click', () => {
+            consent.withdraw();
+            this.hideConsentBanner();
+            this.showNotification(this.i18n.t('consent.withdrawn'), 'success');
+        });
+
+        const privacySettings = document.getElementById('privacySettings');
+        if (privacySettings) {
+            privacySettings.addEventListener('click', () => this.showConsentBanner());
+        }
+
+        if (!consent.hasDecided() && !signal) {
+            this.showConsentBanner();
+        }
+    }
+
+    showConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+
+        const choices = this.consent.getChoices();
+        document.getElementById('consentAnalytics').checked = choices.analytics;
+        document.getElementById('consentPersonalization').checked = choices.personalization;
+        document.getElementById('consentWithdraw').hidden = !choices.analytics && !choices.personalization;
+        banner.hidden = false;
+    }
+
+    hideConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (banner) banner.hidden = true;
+    }
+
     setupAnimations() {
         // Intersection Observer for scroll animations
         const observerOptions = {
@@ -129,9 +272,14 @@ class PortfolioApp {
         });
     }
 
+    // Decorative only, so none at all for visitors who prefer reduced motion
     createParticles() {
         const container = document.getElementById('particles');
         const particleCount = 50;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.accessibility.prefersReducedMotion()) return;
 
         for (let i = 0; i < particleCount; i++) {
             const particle = document.createElement('div');
@@ -190,44 +338,101 @@ class PortfolioApp {
         const step = target / (duration / 16);
         let current = 0;
 
-        const timer = setInterval(() => {
+        const timer = this.clock.setInterval(() => {
             current += step;
             if (current >= target) {
-                element.textContent = target;
-                clearInterval(timer);
+                element.textContent = this.i18n.formatNumber(target);
+                element.dataset.counted = 'true';
+                this.clock.clearInterval(timer);
             } else {
-                element.textContent = Math.floor(current);
+                element.textContent = this.i18n.formatNumber(Math.floor(current));
             }
         }, 16);
     }
 
-    toggleTheme() {
-        document.body.classList.toggle('dark-theme');
-        const isDark = document.body.classList.contains('dark-theme');
+    // Re-format finished counters after a language switch (e.g. 1,234 vs 1.234)
+    formatStats() {
+        document.querySelectorAll('.stat-number[data-counted]').forEach(element => {
+            element.textContent = this.i18n.formatNumber(parseInt(element.dataset.count, 10));
+        });
+    }
+
+    // The switcher lists each language in its own name; choosing one is remembered
+    setupLocale() {
+        const localeSelect = document.getElementById('localeSelect');
+        if (localeSelect) {
+            localeSelect.innerHTML = Object.entries(this.i18n.locales)
+                .map(([locale, { name }]) => `<option value="${locale}" lang="${locale}">${name}</option>`)
+                .join('');
+            localeSelect.value = this.i18n.getLocale();
+            localeSelect.addEventListener('change', () => this.i18n.setLocale(localeSelect.value));
+        }
+
+        this.i18n.onChange(locale => {
+            if (localeSelect) localeSelect.value = locale;
+            this.updateThemeControls(this.theme.getCurrent());
+            this.formatStats();
+        });
+    }
+
+    // The toggle and the palette picker both set the visitor's override, which evolutions never change
+    setupTheme() {
+        const themeSelect = document.getElementById('themeSelect');
+        if (themeSelect) {
+            themeSelect.innerHTML = '<option value="" data-i18n="theme.system">System</option>' + this.theme.getPaletteNames()
+                .map(name => `<option value="${name}" data-i18n="theme.${name}">${this.theme.palettes[name].label}</option>`)
+                .join('');
+            this.i18n.translate(themeSelect);
+            themeSelect.addEventListener('change', () => {
+                this.theme.setOverride(themeSelect.value || null);
+                this.tracker.trackThemePreference(themeSelect.value ? this.theme.getCurrent().scheme : 'system');
+            });
+        }
+
+        this.theme.onChange(theme => this.updateThemeControls(theme));
+        this.updateThemeControls(this.theme.getCurrent());
+    }
+
+    updateThemeControls(theme) {
+        const isDark = theme.scheme === 'dark';
         const themeToggle = document.getElementById('themeToggle');
-        
+        const themeSelect = document.getElementById('themeSelect');
+
         if (themeToggle) {
             themeToggle.innerHTML = isDark ? '<i class="fas fa-sun"></i>' : '<i class="fas fa-moon"></i>';
+            themeToggle.setAttribute('aria-label', this.i18n.t(isDark ? 'theme.switchToLight' : 'theme.switchToDark'));
+        }
+        if (themeSelect) {
+            themeSelect.value = this.theme.getOverride() || '';
         }
+    }
+
+    toggleTheme() {
+        const next = this.theme.getCurrent().scheme === 'dark' ? 'light' : 'dark';
+        this.theme.setOverride(next);
         
         this.tracker.trackClick('themeToggle');
-        this.tracker.trackThemePreference(isDark ? 'dark' : 'light');
+        this.tracker.trackThemePreference(next);
     }
 
     scrollToSection(sectionId) {
         const section = document.getElementById(sectionId);
         if (section) {
-            section.scrollIntoView({ behavior: 'smooth' });
+            section.scrollIntoView({ behavior: this.getScrollBehavior() });
         }
     }
 
+    getScrollBehavior() {
+        return this.accessibility.prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
     setupSmoothScrolling() {
         document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
+            anchor.addEventListener('click', (e) => {
                 e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
+                const target = document.querySelector(anchor.getAttribute('href'));
                 if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
+                    target.scrollIntoView({ behavior: this.getScrollBehavior() });
                 }
             });
         });
@@ -236,41 +441,20 @@ class PortfolioApp {
     applySavedPreferences() {
         const data = this.tracker.getData();
         
-        // Apply theme preference
-        if (data.themePreference === 'dark') {
-            document.body.classList.add('dark-theme');
-            const themeToggle = document.getElementById('themeToggle');
-            if (themeToggle) themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
+        // Visitors who picked dark before the theme override existed keep it
+        if (data.themePreference === 'dark' && !this.theme.getOverride()) {
+            this.theme.setOverride('dark');
         }
-
-        // Apply any previous evolutions
-        this.evolutionEngine.checkEvolutionRules();
     }
 
     handleContactSubmit() {
-        const name = document.getElementById('name').value;
-        const email = document.getElementById('email').value;
-        const subject = document.getElementById('subject').value;
-        const message = document.getElementById('message').value;
-
-        if (!name || !email || !subject || !message) {
-            this.showNotification('Please fill in all fields before sending.', 'error');
-            return;
+        if (this.contactForm) {
+            this.contactForm.submit();
         }
-
-        // Simulate form submission
-        this.showNotification('Message sent successfully! I\'ll get back to you soon.', 'success');
-        
-        // Clear form
-        document.getElementById('name').value = '';
-        document.getElementById('email').value = '';
-        document.getElementById('subject').value = '';
-        document.getElementById('message').value = '';
     }
 
     showProjectModal(projectId) {
-        // In a real app, this would show a detailed project modal
-        this.showNotification(`Opening ${projectId} details...`, 'info');
+        this.projectModal.open(projectId);
     }
 
     showNotification(message, type = 'info') {
@@ -284,18 +468,19 @@ class PortfolioApp {
             </div>
         `;
 
-        // Add styles
+        // Add styles; slides in from the inline end, which is the left in RTL languages
+        const offscreen = this.i18n.getDirection() === 'rtl' ? '-400px' : '400px';
         notification.style.cssText = `
             position: fixed;
             top: 100px;
-            right: 30px;
+            inset-inline-end: 30px;
             background: var(--bg);
             border: 1px solid var(--border);
             border-radius: 12px;
             padding: 16px 20px;
             box-shadow: var(--shadow-lg);
             z-index: 1000;
-            transform: translateX(400px);
+            transform: translateX(${offscreen});
             transition: transform 0.3s ease;
             max-width: 300px;
         `;
@@ -303,14 +488,14 @@ class PortfolioApp {
         document.body.appendChild(notification);
 
         // Animate in
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             notification.style.transform = 'translateX(0)';
         }, 100);
 
         // Remove after delay
-        setTimeout(() => {
-            notification.style.transform = 'translateX(400px)';
-            setTimeout(() => {
+        this.clock.setTimeout(() => {
+            notification.style.transform = `translateX(${offscreen})`;
+            this.clock.setTimeout(() => {
                 if (notification.parentNode) {
                     notification.parentNode.removeChild(notification);
                 }
@@ -328,13 +513,6 @@ class PortfolioApp {
         return icons[type] || 'info-circle';
     }
 
-    hideEvolutionNotice() {
-        const notice = document.getElementById('evolutionNotice');
-        if (notice) {
-            notice.classList.remove('show');
-        }
-    }
-
     toggleMobileMenu() {
         const navLinks = document.querySelector('.nav-links');
         if (navLinks) {
@@ -343,35 +521,56 @@ class PortfolioApp {
     }
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new PortfolioApp();
+// Shared instances for the page. They are created here, not in their modules, so the modules
+// load without side effects and tests can build their own.
+function startPortfolio(clock = systemClock) {
+    const { storage, content, locales } = document.documentElement.dataset;
+    // Pick the backend with <html data-storage="indexedDB|sessionStorage|memory">
+    const portfolioStorage = new PersistentStore(StorageAdapter.create(storage));
+    const portfolioContent = new ContentModel(content || 'content.json');
+    const portfolioI18n = new I18n({ storage: portfolioStorage, baseUrl: locales || 'locales/' });
+
+    // Initialize the application when DOM is loaded
+    document.addEventListener('DOMContentLoaded', async () => {
+        // IndexedDB-backed storage loads asynchronously; nothing may read from it before then
+        await Promise.all([portfolioStorage.ready, portfolioContent.ready, portfolioI18n.ready]);
+
+        // Build the content sections first; the tracker and engine look for them on startup
+        new ContentRenderer(portfolioContent, portfolioI18n).render();
+        const app = new PortfolioApp(portfolioStorage, portfolioContent, portfolioI18n, { clock });
     
-    // Make app globally available for debugging
-    window.portfolioApp = app;
+        // Make app globally available for debugging
+        window.portfolioApp = app;
     
-    // Add CSS for notifications
-    const style = document.createElement('style');
-    style.textContent = `
-        .notification-success { border-left: 4px solid #10b981; }
-        .notification-error { border-left: 4px solid #ef4444; }
-        .notification-info { border-left: 4px solid #3b82f6; }
-        .notification-warning { border-left: 4px solid #f59e0b; }
+        // Add CSS for notifications
+        const style = document.createElement('style');
+        style.textContent = `
+            .notification-success { border-left: 4px solid #10b981; }
+            .notification-error { border-left: 4px solid #ef4444; }
+            .notification-info { border-left: 4px solid #3b82f6; }
+            .notification-warning { border-left: 4px solid #f59e0b; }
         
-        .notification-content {
-            display: flex;
-            align-items: center;
-            gap: 12px;
-        }
+            .notification-content {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+            }
         
-        .notification-content i {
-            font-size: 1.2rem;
-        }
+            .notification-content i {
+                font-size: 1.2rem;
+            }
         
-        .notification-success i { color: #10b981; }
-        .notification-error i { color: #ef4444; }
-        .notification-info i { color: #3b82f6; }
-        .notification-warning i { color: #f59e0b; }
-    `;
-    document.head.appendChild(style);
-});
\ No newline at end of file
+            .notification-success i { color: #10b981; }
+            .notification-error i { color: #ef4444; }
+            .notification-info i { color: #3b82f6; }
+            .notification-warning i { color: #f59e0b; }
+        `;
+        document.head.appendChild(style);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioApp };
+} else {
+    startPortfolio();
+}
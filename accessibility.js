@@ -0,0 +1,217 @@
+// Accessibility Module
+// Follows the visitor's motion and contrast preferences, announces changes to assistive
+// technology, and gives the engine the checks it runs before an evolution may change
+// colors or the order of the page.
+class AccessibilityManager {
+    constructor({ announcer = document.getElementById('evolutionAnnouncer'), clock = systemClock } = {}) {
+        this.announcer = announcer;
+        this.clock = clock;
+        this.listeners = [];
+        this.announceTimer = null;
+        this.motionQuery = this.matchMedia('(prefers-reduced-motion: reduce)');
+        this.contrastQuery = this.matchMedia('(prefers-contrast: more)');
+        this.init();
+    }
+
+    static get FOCUSABLE() {
+        return 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    }
+
+    init() {
+        [this.motionQuery, this.contrastQuery].forEach(query => {
+            if (query && query.addEventListener) {
+                query.addEventListener('change', () => this.applyPreferences());
+            }
+        });
+        this.applyPreferences();
+    }
+
+    matchMedia(query) {
+        return window.matchMedia ? window.matchMedia(query) : null;
+    }
+
+    prefersReducedMotion() {
+        return !!(this.motionQuery && this.motionQuery.matches);
+    }
+
+    prefersMoreContrast() {
+        return !!(this.contrastQuery && this.contrastQuery.matches);
+    }
+
+    getPreferences() {
+        return {
+            reducedMotion: this.prefersReducedMotion(),
+            moreContrast: this.prefersMoreContrast()
+        };
+    }
+
+    // Mirror the media queries as classes so injected styles can key off them too
+    applyPreferences() {
+        const preferences = this.getPreferences();
+        document.documentElement.classList.toggle('reduced-motion', preferences.reducedMotion);
+        document.documentElement.classList.toggle('high-contrast', preferences.moreContrast);
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(preferences);
+            } catch (e) {
+                console.warn('Accessibility listener failed:', e);
+            }
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Clearing first makes a repeated message announce again; an empty message cancels a
+    // pending one
+    announce(message) {
+        if (!this.announcer) return;
+
+        this.clock.clearTimeout(this.announceTimer);
+        this.announcer.textContent = '';
+        if (!message) return;
+
+        this.announceTimer = this.clock.setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    }
+
+    // Moving a focused element blurs it, and moving content above the reader shifts the page.
+    // Run a DOM change, then restore focus and keep the focused element (or the section in
+    // view) where it was on screen.
+    preserveFocus(change) {
+        const active = document.activeElement !== document.body ? document.activeElement : null;
+        const anchor = active || this.getViewportAnchor();
+        const top = anchor ? anchor.getBoundingClientRect().top : 0;
+
+        try {
+            change();
+        } finally {
+            if (active && active.isConnected && document.activeElement !== active) {
+                active.focus({ preventScroll: true });
+            }
+            if (anchor && anchor.isConnected) {
+                const shift = anchor.getBoundingClientRect().top - top;
+                if (shift !== 0) {
+                    window.scrollBy({ top: shift, behavior: 'instant' });
+                }
+            }
+        }
+    }
+
+    getViewportAnchor() {
+        return Array.from(document.querySelectorAll('section[data-section]'))
+            .find(section => section.getBoundingClientRect().bottom > 0) || null;
+    }
+
+    // Text needs 4.5:1 (WCAG AA), or 7:1 (AAA) when the visitor asked for more contrast
+    getMinimumTextContrast() {
+        return this.prefersMoreContrast() ? 7 : 4.5;
+    }
+
+    // Buttons put white text on the primary colors, and the primary color marks links and
+    // active states on the page background (the current one unless given). Returns why the
+    // palette fails, or null.
+    checkPalette({ primary, primaryDark, background = null }) {
+        const white = [255, 255, 255];
+        const minimum = this.getMinimumTextContrast();
+
+        for (const [name, value] of [['primary', primary], ['primaryDark', primaryDark]]) {
+            if (value === undefined) continue;
+
+            const color = AccessibilityManager.parseColor(value);
+            if (!color) {
+                return `${name} color "${value}" can't be checked for contrast`;
+            }
+            const ratio = AccessibilityManager.contrastRatio(color, white);
+            if (ratio < minimum) {
+                return `white text on ${name} ${value} has a contrast of ${ratio.toFixed(2)}:1, below ${minimum}:1`;
+            }
+        }
+
+        const primaryColor = primary !== undefined ? AccessibilityManager.parseColor(primary) : null;
+        const backgroundColor = background ? AccessibilityManager.parseColor(background) : this.getPageBackground();
+        if (primaryColor && backgroundColor) {
+            // Non-text contrast (WCAG 1.4.11) for borders, icons and focus indicators
+            const ratio = AccessibilityManager.contrastRatio(primaryColor, backgroundColor);
+            if (ratio < 3) {
+                return `primary ${primary} has a contrast of ${ratio.toFixed(2)}:1 against the page background, below 3:1`;
+            }
+        }
+
+        return null;
+    }
+
+    getPageBackground() {
+        const computed = AccessibilityManager.parseColor(getComputedStyle(document.body).backgroundColor);
+        if (computed && computed[3] !== 0) {
+            return computed;
+        }
+        return AccessibilityManager.parseColor(getComputedStyle(document.body).getPropertyValue('--bg'));
+    }
+
+    // Signs that the tab order no longer follows what is shown: positive tabindex values and
+    // inline styles that reorder content visually without moving it in the DOM
+    findKeyboardOrderProblems(root = document.body) {
+        const problems = [];
+        const describe = element => element.id ? `#${element.id}` : element.tagName.toLowerCase() +
+            (element.classList.length ? `.${Array.from(element.classList).join('.')}` : '');
+
+        root.querySelectorAll('[tabindex]').forEach(element => {
+            if (element.tabIndex > 0) {
+                problems.push(`positive tabindex on ${describe(element)}`);
+            }
+        });
+
+        root.querySelectorAll('[style]').forEach(element => {
+            const style = element.style;
+            const reorders = style.order || /reverse/.test(style.flexDirection) ||
+                /reverse/.test(style.flexWrap) || /dense/.test(style.gridAutoFlow);
+            const affectsFocus = element.matches(AccessibilityManager.FOCUSABLE) ||
+                (element.parentElement && element.parentElement.querySelector(AccessibilityManager.FOCUSABLE));
+            if (reorders && affectsFocus) {
+                problems.push(`visual reordering on ${describe(element)}`);
+            }
+        });
+
+        return problems;
+    }
+
+    // '#rgb', '#rrggbb', 'rgb()' or 'rgba()' to [r, g, b, alpha]; null for anything else
+    static parseColor(value) {
+        const text = String(value || '').trim().toLowerCase();
+
+        let match = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+        if (match) {
+            const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+            return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(1);
+        }
+
+        match = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/);
+        if (match) {
+            return [Number(match[1]), Number(match[2]), Number(match[3]), match[4] === undefined ? 1 : Number(match[4])];
+        }
+
+        return null;
+    }
+
+    static relativeLuminance([r, g, b]) {
+        const channel = value => {
+            const c = value / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    }
+
+    static contrastRatio(a, b) {
+        const [lighter, darker] = [AccessibilityManager.relativeLuminance(a), AccessibilityManager.relativeLuminance(b)]
+            .sort((x, y) => y - x);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessibilityManager };
+}
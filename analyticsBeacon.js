@@ -0,0 +1,199 @@
+// Analytics Beacon Module
+// Batches tracked interactions and ships them to a self-hosted collector
+// (see server/collector.js). Events are queued in storage while offline or
+// while the endpoint is failing, and flushed with sendBeacon when the page is hidden.
+class AnalyticsBeacon {
+    constructor({
+        endpoint,
+        consent,
+        storage,
+        batchSize = 20,
+        flushInterval = 15000,
+        sampleRate = 1,
+        maxQueueSize = 500,
+        retryDelay = 2000,
+        maxRetryDelay = 60000,
+        clock = systemClock
+    }) {
+        this.endpoint = endpoint;
+        this.consent = consent;
+        this.storage = storage;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.maxQueueSize = maxQueueSize;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.clock = clock;
+
+        this.sessionId = `s-${this.clock.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.queue = this.isEnabled() ? (this.storage.read('analyticsQueue') || []) : [];
+        this.sending = false;
+        this.inFlight = [];
+        this.failures = 0;
+        this.retryTimeout = null;
+        this.persistTimeout = null;
+        this.flushTimer = null;
+        this.unsubscribers = [];
+
+        // Sampling is decided once per page load, like the session id, so each page load's events
+        // are either all sent or none are; a visitor's other page loads roll again
+        this.sampled = Math.random() < sampleRate;
+
+        this.init();
+    }
+
+    init() {
+        this.flushTimer = this.clock.setInterval(() => this.flush(), this.flushInterval);
+
+        const handleVisibility = () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushWithBeacon();
+            }
+        };
+        const handleOnline = () => {
+            this.failures = 0;
+            this.flush();
+        };
+        document.addEventListener('visibilitychange', handleVisibility);
+        window.addEventListener('online', handleOnline);
+
+        this.unsubscribers = [
+            () => document.removeEventListener('visibilitychange', handleVisibility),
+            () => window.removeEventListener('online', handleOnline),
+            this.consent.onChange((choices) => {
+                if (!choices.analytics) {
+                    this.clear();
+                }
+            })
+        ];
+    }
+
+    // Stop uploading for good; the queue stays in storage for the next page load
+    destroy() {
+        this.clock.clearInterval(this.flushTimer);
+        this.clock.clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+        this.persistQueue();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    isEnabled() {
+        return !!this.endpoint && this.consent.isGranted('analytics');
+    }
+
+    enqueue(event) {
+        if (!this.isEnabled() || !this.sampled) return;
+
+        this.queue.push(event);
+        if (this.queue.length > this.maxQueueSize) {
+            this.queue = this.queue.slice(-this.maxQueueSize);
+        }
+        this.schedulePersist();
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    buildPayload(events) {
+        return JSON.stringify({
+            sessionId: this.sessionId,
+            page: location.pathname,
+            sentAt: new Date(this.clock.now()).toISOString(),
+            events
+        });
+    }
+
+    async flush() {
+        if (!this.isEnabled() || this.sending || this.retryTimeout || this.queue.length === 0) return;
+        if (navigator.onLine === false) return; // The 'online' listener picks it up again
+
+        const batch = this.queue.slice(0, this.batchSize);
+        this.sending = true;
+        this.inFlight = batch;
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: this.buildPayload(batch),
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error(`Collector responded with ${response.status}`);
+            }
+
+            this.removeSent(batch);
+            this.persistQueue();
+            this.failures = 0;
+        } catch (e) {
+            this.scheduleRetry(e);
+            return;
+        } finally {
+            this.sending = false;
+            this.inFlight = [];
+        }
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    // Exponential backoff; the queue stays in storage so nothing is lost in between
+    scheduleRetry(error) {
+        this.failures++;
+        const delay = Math.min(this.retryDelay * Math.pow(2, this.failures - 1), this.maxRetryDelay);
+        console.warn(`Analytics upload failed, retrying in ${delay / 1000}s:`, error);
+
+        this.retryTimeout = this.clock.setTimeout(() => {
+            this.retryTimeout = null;
+            this.flush();
+        }, delay);
+    }
+
+    // Last chance while the page is being hidden or closed. A fetch still in flight keeps its
+    // batch (it may yet finish), so only the events queued behind it go with the beacon.
+    flushWithBeacon() {
+        if (!this.isEnabled() || !navigator.sendBeacon) return;
+
+        const batch = this.queue.filter(event => !this.inFlight.includes(event)).slice(0, this.batchSize * 5);
+        if (batch.length === 0) return;
+
+        // text/plain keeps the beacon a CORS-simple request; the collector parses it as JSON
+        const body = new Blob([this.buildPayload(batch)], { type: 'text/plain' });
+        if (navigator.sendBeacon(this.endpoint, body)) {
+            this.removeSent(batch);
+        }
+        this.persistQueue();
+    }
+
+    // By identity rather than position: the front of the queue may have changed while a
+    // batch was being sent
+    removeSent(sent) {
+        const events = new Set(sent);
+        this.queue = this.queue.filter(event => !events.has(event));
+    }
+
+    schedulePersist() {
+        this.clock.clearTimeout(this.persistTimeout);
+        this.persistTimeout = this.clock.setTimeout(() => this.persistQueue(), 1000);
+    }
+
+    persistQueue() {
+        this.clock.clearTimeout(this.persistTimeout);
+        if (!this.isEnabled()) return;
+        this.storage.write('analyticsQueue', this.queue);
+    }
+
+    clear() {
+        this.queue = [];
+        this.clock.clearTimeout(this.persistTimeout);
+        this.clock.clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+        this.storage.remove('analyticsQueue');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalyticsBeacon };
+}
@@ -0,0 +1,219 @@
+// Bandit Selection Module
+// Treats eligible evolutions as arms of a multi-armed bandit and learns which ones help,
+// rewarding each arm by the engagement gained and conversions seen after it was applied.
+class BanditSelector {
+    constructor({
+        strategy = 'thompson',
+        epsilon = 0.1,
+        rewardWindow = 60000,
+        engagementScale = 25,
+        random = Math.random,
+        storage,
+        clock = systemClock
+    } = {}) {
+        this.storage = storage;
+        this.clock = clock;
+        this.strategy = strategy;
+        this.epsilon = epsilon;
+        this.rewardWindow = rewardWindow;
+        this.engagementScale = engagementScale;
+        this.random = random;
+        this.state = this.loadState() || { arms: {}, pending: [] };
+    }
+
+    static get STRATEGIES() {
+        return ['epsilon-greedy', 'thompson'];
+    }
+
+    getArm(name) {
+        if (!this.state.arms[name]) {
+            this.state.arms[name] = { pulls: 0, rewardSum: 0, alpha: 1, beta: 1 };
+        }
+        return this.state.arms[name];
+    }
+
+    choose(candidates) {
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        if (this.strategy === 'epsilon-greedy') {
+            return this.chooseEpsilonGreedy(candidates);
+        }
+        return this.chooseThompson(candidates);
+    }
+
+    chooseEpsilonGreedy(candidates) {
+        if (this.random() < this.epsilon) {
+            return candidates[Math.floor(this.random() * candidates.length)];
+        }
+
+        // Untried arms are explored before exploiting the best mean reward
+        const untried = candidates.find(name => this.getArm(name).pulls === 0);
+        if (untried) {
+            return untried;
+        }
+
+        return candidates.reduce((best, name) =>
+            this.getMeanReward(name) > this.getMeanReward(best) ? name : best);
+    }
+
+    chooseThompson(candidates) {
+        let best = null;
+        let bestSample = -1;
+        candidates.forEach(name => {
+            const arm = this.getArm(name);
+            const sample = this.sampleBeta(arm.alpha, arm.beta);
+            if (sample > bestSample) {
+                best = name;
+                bestSample = sample;
+            }
+        });
+        return best;
+    }
+
+    getMeanReward(name) {
+        const arm = this.getArm(name);
+        return arm.pulls ? arm.rewardSum / arm.pulls : 0;
+    }
+
+    hasPendingTrial() {
+        return this.state.pending.length > 0;
+    }
+
+    // When the earliest open trial's reward window closes, or null without one
+    getNextSettleTime() {
+        if (!this.hasPendingTrial()) return null;
+        return Math.min(...this.state.pending.map(trial => trial.startedAt + this.rewardWindow));
+    }
+
+    startTrial(arm, baselineScore) {
+        this.state.pending.push({
+            arm,
+            startedAt: this.clock.now(),
+            baselineScore,
+            converted: false
+        });
+        this.saveState();
+    }
+
+    recordConversion() {
+        this.state.pending.forEach(trial => {
+            trial.converted = true;
+        });
+        this.saveState();
+    }
+
+    // Close trials whose reward window has elapsed
+    settle(currentScore, now = this.clock.now()) {
+        const open = [];
+        this.state.pending.forEach(trial => {
+            if (now - trial.startedAt >= this.rewardWindow) {
+                this.reward(trial.arm, this.computeReward(trial, currentScore));
+            } else {
+                open.push(trial);
+            }
+        });
+
+        if (open.length !== this.state.pending.length) {
+            this.state.pending = open;
+            this.saveState();
+        }
+    }
+
+    // An evolution rejected during its trial settles immediately with no reward
+    penalize(arm) {
+        const trial = this.state.pending.find(pending => pending.arm === arm);
+        if (!trial) {
+            return;
+        }
+
+        this.state.pending = this.state.pending.filter(pending => pending !== trial);
+        this.reward(arm, 0);
+    }
+
+    computeReward(trial, currentScore) {
+        if (trial.converted) {
+            return 1;
+        }
+        const delta = currentScore - trial.baselineScore;
+        return Math.max(0, Math.min(1, delta / this.engagementScale));
+    }
+
+    reward(name, value) {
+        const arm = this.getArm(name);
+        arm.pulls++;
+        arm.rewardSum += value;
+        arm.alpha += value;
+        arm.beta += 1 - value;
+        this.saveState();
+    }
+
+    getStats() {
+        return Object.entries(this.state.arms).map(([arm, stats]) => ({
+            arm,
+            pulls: stats.pulls,
+            meanReward: Math.round(this.getMeanReward(arm) * 1000) / 1000,
+            alpha: Math.round(stats.alpha * 100) / 100,
+            beta: Math.round(stats.beta * 100) / 100
+        }));
+    }
+
+    sampleBeta(alpha, beta) {
+        const x = this.sampleGamma(alpha);
+        const y = this.sampleGamma(beta);
+        return x / (x + y);
+    }
+
+    // Marsaglia-Tsang gamma sampler
+    sampleGamma(shape) {
+        if (shape < 1) {
+            return this.sampleGamma(shape + 1) * Math.pow(this.random(), 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x;
+            let v;
+            do {
+                x = this.sampleNormal();
+                v = 1 + c * x;
+            } while (v <= 0);
+
+            v = v * v * v;
+            const u = this.random();
+            if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+                return d * v;
+            }
+        }
+    }
+
+    sampleNormal() {
+        const u = this.random() || Number.MIN_VALUE;
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    reset() {
+        this.state = { arms: {}, pending: [] };
+        this.saveState();
+    }
+
+    clear() {
+        this.state = { arms: {}, pending: [] };
+        this.storage.remove('evolutionBandit');
+    }
+
+    saveState() {
+        this.storage.write('evolutionBandit', this.state);
+    }
+
+    loadState() {
+        return this.storage.read('evolutionBandit');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BanditSelector };
+}
@@ -0,0 +1,232 @@
+// Click Heatmap Module
+// Draws recorded clicks as a density map over the live page. Each click is placed on the
+// element it hit (by selector and relative offset) so the map follows responsive layouts;
+// clicks whose element is gone fall back to their page position scaled to the current width.
+// Toggle with Ctrl+Shift+H or from the owner dashboard.
+class ClickHeatmapOverlay {
+    constructor(tracker, i18n, { radius = 30 } = {}) {
+        this.tracker = tracker;
+        this.i18n = i18n;
+        this.radius = radius;
+        this.filters = { section: '', from: '', to: '' };
+        this.canvas = null;
+        this.panel = null;
+        this.palette = null;
+        this.frame = null;
+        this.handleViewportChange = () => this.scheduleDraw();
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'h') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    isVisible() {
+        return !!this.canvas;
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (this.isVisible()) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'heatmap-canvas';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.canvas);
+
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+
+        window.addEventListener('resize', this.handleViewportChange);
+        window.addEventListener('scroll', this.handleViewportChange, { passive: true });
+        this.draw();
+    }
+
+    hide() {
+        if (!this.isVisible()) return;
+
+        cancelAnimationFrame(this.frame);
+        window.removeEventListener('resize', this.handleViewportChange);
+        window.removeEventListener('scroll', this.handleViewportChange);
+        this.canvas.remove();
+        this.panel.remove();
+        this.canvas = null;
+        this.panel = null;
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'heatmap-panel glass-card';
+        panel.dataset.noTrack = '';
+
+        const sections = Array.from(document.querySelectorAll('section[data-section]'))
+            .map(section => `<option value="${section.id}">${section.id}</option>`)
+            .join('');
+
+        panel.innerHTML = `
+            <div class="heatmap-panel-header">
+                ${this.message('strong', 'heatmap.title')}
+                <button class="notice-close" data-heatmap-close type="button"
+                        aria-label="${escapeHtml(this.i18n.t('heatmap.hide'))}" data-i18n-attr="aria-label: heatmap.hide">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <label>${this.message('span', 'heatmap.section')}
+                <select data-heatmap-filter="section">
+                    <option value="" data-i18n="heatmap.allSections">${escapeHtml(this.i18n.t('heatmap.allSections'))}</option>
+                    ${sections}
+                </select>
+            </label>
+            <label>${this.message('span', 'heatmap.from')} <input type="date" data-heatmap-filter="from"></label>
+            <label>${this.message('span', 'heatmap.to')} <input type="date" data-heatmap-filter="to"></label>
+            <p class="heatmap-count" aria-live="polite" data-i18n="heatmap.count"></p>
+        `;
+
+        Object.entries(this.filters).forEach(([name, value]) => {
+            panel.querySelector(`[data-heatmap-filter="${name}"]`).value = value;
+        });
+
+        panel.addEventListener('change', (e) => {
+            const name = e.target.dataset.heatmapFilter;
+            if (name) {
+                this.filters[name] = e.target.value;
+                this.draw();
+            }
+        });
+        panel.querySelector('[data-heatmap-close]').addEventListener('click', () => this.hide());
+
+        return panel;
+    }
+
+    // An element showing a message; i18n.apply() relabels it when the language changes
+    message(tag, key) {
+        return `<${tag} data-i18n="${key}">${escapeHtml(this.i18n.t(key))}</${tag}>`;
+    }
+
+    // Date inputs give local calendar days; "to" includes the whole day
+    getClicks() {
+        const { section, from, to } = this.filters;
+        return this.tracker.getClickHeatmap({
+            section: section || null,
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T23:59:59.999`).getTime() : null
+        });
+    }
+
+    // Where the click lands in the current viewport, or null if it is off screen
+    locate(click) {
+        let element = null;
+        try {
+            element = click.selector ? document.querySelector(click.selector) : null;
+        } catch (e) {
+            element = null;
+        }
+
+        if (element && click.offset) {
+            const rect = element.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+                return {
+                    x: rect.left + click.offset.x * rect.width,
+                    y: rect.top + click.offset.y * rect.height
+                };
+            }
+        }
+
+        const scale = window.innerWidth / (click.viewport.width || window.innerWidth);
+        return {
+            x: click.position.x * scale - window.scrollX,
+            y: click.position.y - window.scrollY
+        };
+    }
+
+    scheduleDraw() {
+        cancelAnimationFrame(this.frame);
+        this.frame = requestAnimationFrame(() => this.draw());
+    }
+
+    draw() {
+        if (!this.isVisible()) return;
+
+        const clicks = this.getClicks();
+        const count = this.panel.querySelector('.heatmap-count');
+        count.dataset.i18nParams = JSON.stringify({ count: clicks.length });
+        count.textContent = this.i18n.t('heatmap.count', { count: clicks.length });
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) {
+            console.warn('Canvas is not supported, cannot draw the click heatmap.');
+            return;
+        }
+        ctx.clearRect(0, 0, width, height);
+
+        const points = clicks
+            .map(click => this.locate(click))
+            .filter(point => point.x > -this.radius && point.x < width + this.radius &&
+                point.y > -this.radius && point.y < height + this.radius);
+        if (points.length === 0) return;
+
+        // Stack translucent blobs so overlapping clicks build up density in the alpha channel...
+        const alpha = Math.max(0.05, Math.min(0.5, 8 / points.length));
+        points.forEach(({ x, y }) => {
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, this.radius);
+            gradient.addColorStop(0, `rgba(0, 0, 0, ${alpha})`);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x - this.radius, y - this.radius, this.radius * 2, this.radius * 2);
+        });
+
+        // ...then map that density onto a blue-to-red palette
+        const palette = this.getPalette();
+        const image = ctx.getImageData(0, 0, width, height);
+        const pixels = image.data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const density = pixels[i + 3];
+            if (density === 0) continue;
+            pixels[i] = palette[density * 4];
+            pixels[i + 1] = palette[density * 4 + 1];
+            pixels[i + 2] = palette[density * 4 + 2];
+            pixels[i + 3] = Math.min(255, density * 1.5);
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    getPalette() {
+        if (!this.palette) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 1;
+            const ctx = canvas.getContext('2d');
+            const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+            gradient.addColorStop(0, 'blue');
+            gradient.addColorStop(0.4, 'cyan');
+            gradient.addColorStop(0.6, 'lime');
+            gradient.addColorStop(0.8, 'yellow');
+            gradient.addColorStop(1, 'red');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 256, 1);
+            this.palette = ctx.getImageData(0, 0, 256, 1).data;
+        }
+        return this.palette;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClickHeatmapOverlay };
+}
@@ -0,0 +1,14 @@
+// Clock Module
+// Time and timers behind one object, so modules that schedule work can run on a fake clock
+// in tests and tools. Anything with these five methods can be passed where a clock is taken.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (id) => clearInterval(id)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { systemClock };
+}
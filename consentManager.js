@@ -0,0 +1,109 @@
+// Privacy Consent Module
+// Nothing is tracked or personalized until the visitor opts in to the matching category.
+class ConsentManager {
+    constructor(storage, clock = systemClock) {
+        this.storage = storage;
+        this.clock = clock;
+        this.state = this.loadState() || this.getDefaultState();
+        this.listeners = [];
+    }
+
+    // analytics: recording interactions; personalization: evolving the page from them
+    static get CATEGORIES() {
+        return ['analytics', 'personalization'];
+    }
+
+    getDefaultState() {
+        return {
+            version: 1,
+            decidedAt: null,
+            analytics: false,
+            personalization: false
+        };
+    }
+
+    // Global Privacy Control or Do Not Track turns everything off regardless of stored choices
+    getPrivacySignal() {
+        if (navigator.globalPrivacyControl === true) {
+            return 'Global Privacy Control';
+        }
+
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        if (dnt === '1' || dnt === 'yes') {
+            return 'Do Not Track';
+        }
+
+        return null;
+    }
+
+    isGranted(category) {
+        return !this.getPrivacySignal() && this.state[category] === true;
+    }
+
+    hasDecided() {
+        return this.state.decidedAt !== null;
+    }
+
+    getChoices() {
+        return ConsentManager.CATEGORIES.reduce((choices, category) => {
+            choices[category] = this.isGranted(category);
+            return choices;
+        }, {});
+    }
+
+    update(choices) {
+        const previous = this.getChoices();
+
+        ConsentManager.CATEGORIES.forEach(category => {
+            if (choices[category] !== undefined) {
+                this.state[category] = choices[category] === true;
+            }
+        });
+        this.state.decidedAt = new Date(this.clock.now()).toISOString();
+        this.saveState();
+
+        const current = this.getChoices();
+        const changed = ConsentManager.CATEGORIES.filter(category => previous[category] !== current[category]);
+        if (changed.length > 0) {
+            this.notify(current, previous);
+        }
+    }
+
+    grantAll() {
+        this.update({ analytics: true, personalization: true });
+    }
+
+    withdraw() {
+        this.update({ analytics: false, personalization: false });
+    }
+
+    // Returns a function that removes the listener again
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify(current, previous) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(current, previous);
+            } catch (e) {
+                console.warn('Consent listener failed:', e);
+            }
+        });
+    }
+
+    saveState() {
+        this.storage.write('portfolioConsent', this.state);
+    }
+
+    loadState() {
+        return this.storage.read('portfolioConsent');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsentManager };
+}
@@ -0,0 +1,351 @@
+// Contact Form Module
+// Validates and sends the contact form to a configurable endpoint (see server/contact.js).
+// Spam is filtered with a hidden honeypot field and a minimum fill time; visitors are limited
+// to a few messages per window. A message that can't be sent is kept as a local draft and
+// retried when the browser comes back online.
+class ContactFormError extends Error {
+    constructor(message, { fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'ContactFormError';
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+}
+
+class ContactForm {
+    constructor({
+        form,
+        endpoint,
+        storage,
+        i18n,
+        notify = () => {},
+        onSent = () => {},
+        getSummary = null,
+        minFillTime = 3000,
+        maxPerWindow = 3,
+        rateWindow = 60 * 60 * 1000,
+        clock = systemClock
+    }) {
+        this.form = form;
+        this.endpoint = endpoint;
+        this.storage = storage;
+        this.i18n = i18n;
+        this.notify = notify;
+        this.onSent = onSent;
+        this.getSummary = getSummary;
+        this.minFillTime = minFillTime;
+        this.maxPerWindow = maxPerWindow;
+        this.rateWindow = rateWindow;
+        this.clock = clock;
+        this.startedAt = this.clock.now();
+        this.sending = false;
+        this.init();
+    }
+
+    static get FIELDS() {
+        return ['name', 'email', 'subject', 'message'];
+    }
+
+    static get LIMITS() {
+        return { name: [2, 100], email: [3, 254], message: [10, 5000] };
+    }
+
+    init() {
+        ContactForm.FIELDS.forEach(field => {
+            const input = this.getInput(field);
+            if (!input) return;
+            input.addEventListener('blur', () => {
+                if (input.value) this.showFieldError(field, this.validateField(field, input.value));
+            });
+            input.addEventListener('input', () => this.showFieldError(field, null));
+        });
+
+        window.addEventListener('online', () => this.retryDraft());
+
+        // Consent can change at any time, so check again whenever the visitor comes back to the form
+        this.updateSummaryOption();
+        this.form.addEventListener('focusin', () => this.updateSummaryOption());
+
+        this.restoreDraft();
+        this.retryDraft();
+    }
+
+    getInput(field) {
+        return this.form.querySelector(`[name="${field}"]`);
+    }
+
+    getSummaryData() {
+        return this.getSummary ? this.getSummary() : null;
+    }
+
+    // The "attach a summary" checkbox only appears when there is something to attach
+    updateSummaryOption() {
+        const option = this.form.querySelector('.form-summary');
+        if (!option) return;
+
+        option.hidden = this.getSummaryData() === null;
+        if (option.hidden) {
+            this.getInput('shareSummary').checked = false;
+        }
+    }
+
+    getValues() {
+        return ContactForm.FIELDS.reduce((values, field) => {
+            const input = this.getInput(field);
+            values[field] = input ? input.value.trim() : '';
+            return values;
+        }, {});
+    }
+
+    validateField(field, value) {
+        const limits = ContactForm.LIMITS[field];
+        if (!value) {
+            return this.errorMessage(field, 'required');
+        }
+        if (field === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)) {
+            return this.errorMessage(field, 'invalidEmail');
+        }
+        if (field === 'subject') {
+            const options = Array.from(this.getInput('subject').options).map(option => option.value).filter(Boolean);
+            if (!options.includes(value)) {
+                return this.errorMessage(field, 'invalidSubject');
+            }
+        }
+        if (limits && value.length < limits[0]) {
+            return this.errorMessage(field, 'tooShort');
+        }
+        if (limits && value.length > limits[1]) {
+            return this.errorMessage(field, 'tooLong');
+        }
+        return null;
+    }
+
+    // Error codes are shared with the server (see server/contact.js); one it doesn't know gets a generic message
+    errorMessage(field, code) {
+        const limits = ContactForm.LIMITS[field] || [];
+        switch (code) {
+            case 'required':
+            case 'invalidEmail':
+            case 'invalidSubject':
+                return this.i18n.t(`form.${code}`);
+            case 'tooShort':
+                return this.i18n.t('form.tooShort', { count: limits[0] });
+            case 'tooLong':
+                return this.i18n.t('form.tooLong', { count: limits[1] });
+            default:
+                return this.i18n.t('form.invalid');
+        }
+    }
+
+    validate(values) {
+        return ContactForm.FIELDS.reduce((errors, field) => {
+            const error = this.validateField(field, values[field]);
+            if (error) errors[field] = error;
+            return errors;
+        }, {});
+    }
+
+    showFieldError(field, message) {
+        const input = this.getInput(field);
+        if (!input) return;
+
+        const id = `${input.id || field}-error`;
+        let error = document.getElementById(id);
+        if (!message) {
+            input.removeAttribute('aria-invalid');
+            if (error) error.remove();
+            return;
+        }
+
+        if (!error) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'field-error';
+            input.insertAdjacentElement('afterend', error);
+        }
+        error.textContent = message;
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', id);
+    }
+
+    showFieldErrors(errors) {
+        ContactForm.FIELDS.forEach(field => this.showFieldError(field, errors[field] || null));
+        const first = ContactForm.FIELDS.find(field => errors[field]);
+        if (first) this.getInput(first).focus();
+    }
+
+    // Sent timestamps inside the current window; kept in storage so a reload doesn't reset them
+    getRecentSubmissions() {
+        const since = this.clock.now() - this.rateWindow;
+        return (this.storage.read('contactSubmissions') || []).filter(time => time > since);
+    }
+
+    async submit() {
+        if (this.sending) return false;
+
+        const values = this.getValues();
+        const errors = this.validate(values);
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(errors);
+            this.notify(this.i18n.t('form.fixFields'), 'error');
+            return false;
+        }
+
+        // Bots fill the honeypot; pretend it worked so they don't adapt
+        const honeypot = this.getInput('website');
+        if (honeypot && honeypot.value) {
+            this.reset();
+            this.notify(this.i18n.t('form.sent'), 'success');
+            return false;
+        }
+
+        const elapsed = this.clock.now() - this.startedAt;
+        if (elapsed < this.minFillTime) {
+            this.notify(this.i18n.t('form.tooQuick'), 'warning');
+            return false;
+        }
+
+        const recent = this.getRecentSubmissions();
+        if (recent.length >= this.maxPerWindow) {
+            const minutes = Math.ceil((recent[0] + this.rateWindow - this.clock.now()) / 60000);
+            this.notify(this.i18n.t('form.rateLimited', { count: minutes }), 'warning');
+            return false;
+        }
+
+        return this.send(this.withSummary({ ...values, elapsed }));
+    }
+
+    // The summary goes out only if the box is ticked and tracking is still allowed at the
+    // moment of sending, so it is rebuilt for every attempt and never stored
+    withSummary(payload) {
+        const share = this.getInput('shareSummary');
+        const summary = share && share.checked ? this.getSummaryData() : null;
+        return summary ? { ...payload, engagementSummary: summary } : payload;
+    }
+
+    async send(payload, { fromDraft = false } = {}) {
+        this.sending = true;
+        this.setBusy(true);
+        try {
+            await this.post(payload);
+        } catch (e) {
+            if (e.fieldErrors && Object.keys(e.fieldErrors).length > 0) {
+                this.showFieldErrors(e.fieldErrors);
+            }
+            this.saveDraft(payload, e.retryable);
+            this.notify(e.retryable ? this.i18n.t('form.savedOffline') : e.message, 'error');
+            return false;
+        } finally {
+            this.sending = false;
+            this.setBusy(false);
+        }
+
+        this.storage.write('contactSubmissions', [...this.getRecentSubmissions(), this.clock.now()]);
+        this.storage.remove('contactDraft');
+        this.reset();
+        this.notify(this.i18n.t(fromDraft ? 'form.draftSent' : 'form.sent'), 'success');
+        this.onSent(payload);
+        return true;
+    }
+
+    // Resolves only when the server confirms; throws ContactFormError otherwise
+    async post(payload) {
+        if (!this.endpoint) {
+            console.warn('No contact endpoint configured; set <html data-contact-endpoint="...">.');
+            throw new ContactFormError(this.i18n.t('form.unavailable'));
+        }
+        if (navigator.onLine === false) {
+            throw new ContactFormError(this.i18n.t('form.offline'), { retryable: true });
+        }
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+        } catch (e) {
+            throw new ContactFormError(this.i18n.t('form.networkError'), { retryable: true });
+        }
+
+        let body = {};
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = {};
+        }
+
+        if (response.ok && body.ok === true) {
+            return body;
+        }
+        if (response.status === 429) {
+            throw new ContactFormError(this.i18n.t('form.tooMany'));
+        }
+        if (response.status >= 400 && response.status < 500) {
+            const fieldErrors = {};
+            Object.entries(body.fields || {}).forEach(([field, code]) => {
+                fieldErrors[field] = this.errorMessage(field, code);
+            });
+            throw new ContactFormError(this.i18n.t('form.checkMessage'), { fieldErrors });
+        }
+        throw new ContactFormError(this.i18n.t('form.serverError', { status: String(response.status) }), { retryable: true });
+    }
+
+    // The draft only ever holds what the visitor typed, for their own convenience
+    saveDraft(payload, pending) {
+        this.storage.write('contactDraft', { values: this.pickFields(payload), pending: !!pending, savedAt: this.clock.now() });
+    }
+
+    pickFields(values) {
+        return Object.fromEntries(ContactForm.FIELDS.map(field => [field, values[field]]));
+    }
+
+    restoreDraft() {
+        const draft = this.storage.read('contactDraft');
+        if (!draft || !draft.values) return;
+
+        ContactForm.FIELDS.forEach(field => {
+            const input = this.getInput(field);
+            if (input && !input.value && draft.values[field]) {
+                input.value = draft.values[field];
+            }
+        });
+    }
+
+    retryDraft() {
+        const draft = this.storage.read('contactDraft');
+        if (!draft || !draft.pending || this.sending || navigator.onLine === false) return;
+
+        // A human already wrote it, so the fill-time check doesn't apply here
+        this.updateSummaryOption();
+        this.send(this.withSummary({ ...this.pickFields(draft.values), elapsed: this.minFillTime }), { fromDraft: true });
+    }
+
+    setBusy(busy) {
+        const button = this.form.querySelector('[type="submit"]');
+        if (!button) return;
+
+        const label = button.querySelector('span');
+        button.disabled = busy;
+        button.setAttribute('aria-busy', busy ? 'true' : 'false');
+        if (label) {
+            if (busy) {
+                button.dataset.label = label.textContent;
+                label.textContent = this.i18n.t('form.sending');
+            } else if (button.dataset.label) {
+                label.textContent = button.dataset.label;
+            }
+        }
+    }
+
+    reset() {
+        this.form.reset();
+        ContactForm.FIELDS.forEach(field => this.showFieldError(field, null));
+        this.startedAt = this.clock.now();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContactForm, ContactFormError };
+}
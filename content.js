@@ -0,0 +1,223 @@
+// Content Module
+// Hero stats, skills, projects and evolution content blocks live in content.json; the
+// renderer builds the page sections from it, and evolution rules reference entries by id.
+// Point the page at another file with <html data-content="path/to/content.json">.
+// Content itself is not translated; the renderer's own labels and any stat label with a
+// "stats.<id>" message come from the i18n catalogs when a translator is given.
+class ContentModel {
+    // Takes the URL of a content file, or the content itself
+    constructor(source) {
+        this.url = typeof source === 'string' ? source : null;
+        this.data = this.getEmptyData();
+        this.loaded = false;
+        if (this.url) {
+            this.ready = this.load(this.url);
+        } else {
+            this.setData(source);
+            this.ready = Promise.resolve();
+        }
+    }
+
+    static get COLLECTIONS() {
+        return ['stats', 'skills', 'projects', 'blocks'];
+    }
+
+    getEmptyData() {
+        return ContentModel.COLLECTIONS.reduce((data, collection) => {
+            data[collection] = [];
+            return data;
+        }, {});
+    }
+
+    async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${url} responded with ${response.status}`);
+            }
+            this.setData(await response.json());
+        } catch (e) {
+            console.warn('Could not load site content:', e);
+        }
+    }
+
+    // Entries without a unique string id are dropped with a warning rather than breaking the page
+    setData(data) {
+        const normalized = this.getEmptyData();
+
+        ContentModel.COLLECTIONS.forEach(collection => {
+            const items = data && data[collection];
+            if (items === undefined) return;
+            if (!Array.isArray(items)) {
+                console.warn(`Content "${collection}" must be an array, ignoring it.`);
+                return;
+            }
+
+            const seen = new Set();
+            items.forEach((item, i) => {
+                if (!item || typeof item.id !== 'string' || seen.has(item.id)) {
+                    console.warn(`Content ${collection}[${i}] needs a unique string "id", skipping it.`);
+                    return;
+                }
+                seen.add(item.id);
+                normalized[collection].push(item);
+            });
+        });
+
+        this.data = normalized;
+        this.loaded = true;
+    }
+
+    list(collection) {
+        return this.data[collection] || [];
+    }
+
+    get(collection, id) {
+        return this.list(collection).find(item => item.id === id) || null;
+    }
+
+    has(collection, id) {
+        return this.get(collection, id) !== null;
+    }
+}
+
+// For text placed into HTML built from template strings, as element content or a quoted attribute
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ContentRenderer {
+    constructor(content, i18n = null) {
+        this.content = content;
+        this.i18n = i18n;
+    }
+
+    // Markup attributes that let I18n.translate() update the text after a language switch
+    i18nAttributes(key, params = null, attribute = null) {
+        const target = attribute ? ` data-i18n-attr="${attribute}:${key}"` : ` data-i18n="${key}"`;
+        return params ? `${target} data-i18n-params="${escapeHtml(JSON.stringify(params))}"` : target;
+    }
+
+    message(key, fallback, params = {}) {
+        return this.i18n ? this.i18n.t(key, params) : fallback;
+    }
+
+    // Fills every <element data-content="stats|skills|projects"> on the page
+    render(root = document) {
+        root.querySelectorAll('[data-content]').forEach(container => {
+            switch (container.dataset.content) {
+                case 'stats':
+                    container.innerHTML = this.content.list('stats').map(stat => this.renderStat(stat)).join('');
+                    break;
+                case 'skills':
+                    container.innerHTML = this.content.list('skills').map(category => this.renderSkillCategory(category)).join('');
+                    break;
+                case 'projects':
+                    container.innerHTML = this.content.list('projects').map(project => this.renderProject(project)).join('');
+                    break;
+                default:
+                    console.warn(`Unknown content section "${container.dataset.content}".`);
+            }
+        });
+    }
+
+    // Labels get plural forms from a "stats.<id>" message, e.g. { "one": "Year", "other": "Years" }
+    renderStat(stat) {
+        const count = Number(stat.value) || 0;
+        const key = `stats.${stat.id}`;
+        const translated = this.i18n && this.i18n.has(key);
+        const label = translated
+            ? `<div class="stat-label"${this.i18nAttributes(key, { count })}>${escapeHtml(this.i18n.t(key, { count }))}</div>`
+            : `<div class="stat-label">${escapeHtml(stat.label)}</div>`;
+
+        return `
+            <div class="stat" data-content-id="${escapeHtml(stat.id)}">
+                <div class="stat-number" data-count="${count}">0</div>
+                ${label}
+            </div>
+        `;
+    }
+
+    renderSkillCategory(category) {
+        const items = (category.items || []).map(skill => `
+            <div class="skill-item" data-content-id="${escapeHtml(skill.id || '')}">
+                <span class="skill-name">${escapeHtml(skill.name)}</span>
+                <div class="skill-bar">
+                    <div class="skill-progress" data-level="${Math.max(0, Math.min(100, Number(skill.level) || 0))}"></div>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="skill-category" data-content-id="${escapeHtml(category.id)}">
+                <h4>${escapeHtml(category.title)}</h4>
+                <div class="skills-list">${items}</div>
+            </div>
+        `;
+    }
+
+    renderProject(project) {
+        const features = (project.features || [])
+            .map(feature => `<span class="feature-tag">${escapeHtml(feature)}</span>`)
+            .join('');
+
+        return `
+            <div class="project-card glass-card" data-project="${escapeHtml(project.id)}">
+                <div class="project-header">
+                    <div class="project-icon">${escapeHtml(project.icon || '')}</div>
+                    <div class="project-actions">
+                        <button class="icon-btn" type="button"
+                                aria-label="${escapeHtml(this.message('projects.open', `Open ${project.title} details`, { title: project.title }))}"${this.i18n ? this.i18nAttributes('projects.open', { title: project.title }, 'aria-label') : ''}>
+                            <i class="fas fa-external-link-alt"></i>
+                        </button>
+                    </div>
+                </div>
+                <h3 class="project-title">${escapeHtml(project.title)}</h3>
+                <p class="project-description">${escapeHtml(project.description || '')}</p>
+                <div class="project-features">${features}</div>
+                <div class="project-footer">
+                    <div class="project-stats">
+                        <div class="stat">
+                            <i class="fas fa-heart"></i>
+                            <span>${escapeHtml(project.likes || 0)}</span>
+                        </div>
+                        <div class="stat">
+                            <i class="fas fa-eye"></i>
+                            <span>${escapeHtml(project.views || 0)}</span>
+                        </div>
+                    </div>
+                    <button class="project-cta">
+                        ${project.cta
+                            ? `<span>${escapeHtml(project.cta)}</span>`
+                            : `<span${this.i18nAttributes('projects.view')}>${escapeHtml(this.message('projects.view', 'View Project'))}</span>`}
+                        <i class="fas fa-arrow-right"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Content blocks are what evolutions reveal, e.g. { action: 'revealAdditionalContent', params: { block } }
+    renderBlock(block) {
+        const features = (block.features || []).map(feature => `
+            <div class="evolution-feature">
+                <i class="fas fa-${escapeHtml(feature.icon || 'star')}"></i>
+                <span>${escapeHtml(feature.label)}</span>
+            </div>
+        `).join('');
+
+        return `
+            <h3>${escapeHtml(block.title)}</h3>
+            <p>${escapeHtml(block.text || '')}</p>
+            ${features ? `<div class="evolution-features">${features}</div>` : ''}
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContentModel, ContentRenderer, escapeHtml };
+}
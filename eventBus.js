@@ -0,0 +1,52 @@
+// Event Bus Module
+// Minimal publish/subscribe hub. A failing handler is logged and skipped so one listener can't
+// break the others or the code that emitted the event.
+class EventBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    // Returns a function that removes the handler again
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
+        }
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    once(event, handler) {
+        const off = this.on(event, (detail) => {
+            off();
+            handler(detail);
+        });
+        return off;
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // Handlers get the detail object, so they can flag things on it for the emitter to read back
+    emit(event, detail = {}) {
+        Array.from(this.handlers.get(event) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.warn(`"${event}" handler failed:`, e);
+            }
+        });
+        return detail;
+    }
+
+    clear() {
+        this.handlers.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventBus };
+}
@@ -1,97 +1,866 @@
 // Enhanced Evolution Engine Module
+// Thrown by an action (or raised by the engine's own checks) when applying the evolution
+// would make the page less accessible; the change is rolled back and the rule isn't retried
+class EvolutionRefusedError extends Error {
+    constructor(rule, reason) {
+        super(`Evolution "${rule}" refused: ${reason}`);
+        this.name = 'EvolutionRefusedError';
+        this.rule = rule;
+        this.reason = reason;
+    }
+}
+
+// Plugins add evolutions without forking this file. A plugin is
+//   { name, actions?, conditions?, metrics?, rules?, setup?(engine) }
+//   actions     { <name>: { run(params, engine), params?, persistent?, content?, targets? } }; run
+//               applies the change and returns a function that undoes it (or null), like the
+//               built-in actions; targets lists the selectors of the elements it changes
+//   conditions  { <name>: { test(data, params, engine), params?, dependsOn? } }, used in rules as
+//               { condition: '<name>', params: { ... } }
+//   metrics     { <name>: (data, engine) => number } or { <name>: { compute, dependsOn } }, used
+//               in rules like 'engagementScore'
+//   dependsOn lists the tracker data paths read (e.g. ['clicks', 'session.scrollDepth']); without
+//   it the condition or metric is re-checked after every change
+//   rules       extra rule configs, in the evolutionRules.js format
+//   setup       called once installed; may return a teardown function for destroy()
+// Ship a plugin as its own script loaded after this one that calls
+// EvolutionEngine.registerPlugin(plugin), or install it at runtime with engine.use(plugin).
+//
+// Events, subscribed with engine.on(name, handler):
+//   evolution:before    { rule, replaying, preventDefault() } - call preventDefault() to skip it
+//   evolution:applied   { rule, replaying }
+//   evolution:reverted  { rule, rejected }
+//   evolution:refused   { rule, reason }
+const evolutionEnginePlugins = [];
+
 class EvolutionEngine {
-    constructor(interactionTracker) {
+    constructor(interactionTracker, {
+        rules = evolutionRulesConfig,
+        consent = interactionTracker.consent,
+        storage = interactionTracker.storage,
+        content = null,
+        clock = interactionTracker.clock,
+        i18n = new I18n({ storage }),
+        accessibility = new AccessibilityManager({ clock }),
+        theme = new ThemeManager({ storage, accessibility }),
+        plugins = evolutionEnginePlugins,
+        autoStart = true
+    } = {}) {
         this.tracker = interactionTracker;
-        this.evolutionHistory = this.loadEvolutionHistory();
-        this.evolutionRules = this.setupEvolutionRules();
-        this.currentEvolutions = new Set();
+        this.clock = clock;
+        this.consent = consent;
+        this.storage = storage;
+        this.content = content;
+        this.i18n = i18n;
+        this.accessibility = accessibility;
+        this.theme = theme;
+        this.storage.registerSchema('evolutionHistory', {
+            version: 1,
+            compact: (history) => history.length > 1 ? history.slice(Math.ceil(history.length / 2)) : null
+        });
+        this.evolutionHistory = this.canEvolve() ? this.loadEvolutionHistory() : [];
+        this.experiments = new ExperimentManager(storage, clock);
+        this.bandit = null;
+        this.events = new EventBus();
+        this.plugins = new Map();
+        this.actions = this.setupEvolutionActions();
+        this.conditions = {};
+        this.metrics = this.setupMetrics();
+        this.metricDependencies = EvolutionEngine.METRIC_DEPENDENCIES;
+        plugins.forEach(plugin => this.installPlugin(plugin));
+        this.evolutionRules = this.setupEvolutionRules(rules);
+        this.replaying = false;
+        this.replayed = false;
+        this.activeRule = null;
+        this.heldEffects = null;
+        this.inverses = new Map();
+        // Refused for this page view only; contrast and layout can differ on the next one
+        this.refusedEvolutions = new Set();
+        this.running = false;
+        this.destroyed = false;
+        this.unsubscribeTracker = null;
+        this.pendingChanges = new Set();
+        this.pendingRules = new Set();
+        this.pendingSince = null;
+        this.checkTimer = null;
+        this.idleHandle = null;
+        this.recheckTimers = new Map();
+        this.banditTimer = null;
+        this.noticeTimer = null;
+        this.noticeQueue = [];
+        this.currentNotice = null;
+        this.restoreEvolvedState();
         this.init();
+        if (autoStart) {
+            this.start();
+        }
+    }
+
+    // Plugins registered here are installed into every engine created afterwards
+    static registerPlugin(plugin) {
+        evolutionEnginePlugins.push(plugin);
     }
 
     init() {
+        this.unsubscribers = [
+            this.consent.onChange((choices, previous) => this.handleConsentChange(choices, previous)),
+            this.theme.onChange(() => this.checkPaletteLayers())
+        ];
+    }
+
+    // Rules are re-checked when the tracker data they depend on changes, not on a timer. The
+    // saved evolutions go back on the page first, so none of them is judged or logged afresh.
+    start() {
+        if (this.running || this.destroyed) return;
+
+        this.replayEvolutions();
+        this.running = true;
+        this.unsubscribeTracker = this.tracker.onChange(paths => this.scheduleCheck(paths));
         this.checkEvolutionRules();
-        // Check rules every 10 seconds for more responsive evolution
-        setInterval(() => this.checkEvolutionRules(), 10000);
-        
-        // Also check on specific events
-        document.addEventListener('click', () => {
-            setTimeout(() => this.checkEvolutionRules(), 1000);
+        this.scheduleBanditSettle();
+    }
+
+    // Stop evolving; what has already evolved stays on the page
+    stop() {
+        if (!this.running) return;
+
+        this.running = false;
+        this.unsubscribeTracker();
+        this.cancelScheduledChecks();
+    }
+
+    static get CHECK_TIMING() {
+        return {
+            debounce: 150, // Wait for a burst of changes (say, scrolling) to settle...
+            maxWait: 1000, // ...but never longer than this after the first one
+            idleTimeout: 500 // Longest requestIdleCallback may hold a check back
+        };
+    }
+
+    // Collect what changed and evaluate once things are quiet, in idle time
+    scheduleCheck(paths = ['*'], rules = []) {
+        if (!this.running) return;
+
+        paths.forEach(path => this.pendingChanges.add(path));
+        rules.forEach(name => this.pendingRules.add(name));
+
+        const now = this.clock.now();
+        const timing = EvolutionEngine.CHECK_TIMING;
+        this.pendingSince = this.pendingSince || now;
+        const wait = Math.max(0, Math.min(timing.debounce, this.pendingSince + timing.maxWait - now));
+
+        this.clock.clearTimeout(this.checkTimer);
+        this.checkTimer = this.clock.setTimeout(() => {
+            if (this.idleHandle !== null) return;
+            this.idleHandle = this.requestIdle(() => {
+                this.idleHandle = null;
+                this.runScheduledChecks();
+            }, timing.idleTimeout);
+        }, wait);
+    }
+
+    requestIdle(callback, timeout) {
+        if (typeof window.requestIdleCallback === 'function') {
+            return window.requestIdleCallback(callback, { timeout });
+        }
+        return this.clock.setTimeout(callback, 0);
+    }
+
+    cancelScheduledChecks() {
+        this.clock.clearTimeout(this.checkTimer);
+        if (this.idleHandle !== null) {
+            if (typeof window.cancelIdleCallback === 'function') {
+                window.cancelIdleCallback(this.idleHandle);
+            } else {
+                this.clock.clearTimeout(this.idleHandle);
+            }
+            this.idleHandle = null;
+        }
+        this.recheckTimers.forEach(timer => this.clock.clearTimeout(timer));
+        this.recheckTimers.clear();
+        this.clock.clearTimeout(this.banditTimer);
+        this.pendingChanges.clear();
+        this.pendingRules.clear();
+        this.pendingSince = null;
+    }
+
+    runScheduledChecks() {
+        const changes = Array.from(this.pendingChanges);
+        const rules = Array.from(this.pendingRules);
+        this.pendingChanges.clear();
+        this.pendingRules.clear();
+        this.pendingSince = null;
+        if (changes.length > 0 || rules.length > 0) {
+            this.checkEvolutionRules(changes, rules);
+        }
+    }
+
+    // Re-check one rule later, e.g. once its cooldown is over
+    scheduleRuleCheck(name, delay) {
+        if (!this.running || this.recheckTimers.has(name)) return;
+
+        this.recheckTimers.set(name, this.clock.setTimeout(() => {
+            this.recheckTimers.delete(name);
+            this.scheduleCheck([], [name]);
+        }, delay));
+    }
+
+    // A bandit trial is rewarded when its window closes, so look again then
+    scheduleBanditSettle() {
+        const closesAt = this.bandit && this.bandit.getNextSettleTime();
+        if (!this.running || !closesAt) return;
+
+        this.clock.clearTimeout(this.banditTimer);
+        this.banditTimer = this.clock.setTimeout(() => this.scheduleCheck(['*']), Math.max(0, closesAt - this.clock.now()));
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    // Stop for good and let go of every listener, including the plugins' and the event bus's
+    destroy() {
+        if (this.destroyed) return;
+
+        this.stop();
+        this.clock.clearTimeout(this.noticeTimer);
+        this.noticeQueue = [];
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.plugins.forEach(({ teardown }, name) => {
+            try {
+                if (teardown) teardown();
+            } catch (e) {
+                console.warn(`Plugin "${name}" failed to tear down:`, e);
+            }
         });
+        this.plugins.clear();
+        this.events.clear();
+        this.destroyed = true;
+    }
+
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    // Install a plugin at runtime and recompile the rules so they can use what it adds.
+    // Returns false (and logs why) when the plugin can't be installed.
+    use(plugin) {
+        if (!this.installPlugin(plugin)) {
+            return false;
+        }
+        this.evolutionRules = this.setupEvolutionRules(this.rulesConfig);
+        return true;
+    }
+
+    installPlugin(plugin) {
+        const name = plugin && plugin.name;
+        // A plugin goes in whole or not at all
+        const registries = {
+            actions: { ...this.actions },
+            conditions: { ...this.conditions },
+            metrics: { ...this.metrics },
+            metricDependencies: { ...this.metricDependencies }
+        };
+        try {
+            if (typeof name !== 'string' || !name) {
+                throw new Error('a plugin needs a "name"');
+            }
+            if (this.plugins.has(name)) {
+                throw new Error('it is already installed');
+            }
+
+            Object.entries(plugin.actions || {}).forEach(([action, definition]) => this.registerAction(action, definition));
+            Object.entries(plugin.conditions || {}).forEach(([condition, definition]) => this.registerCondition(condition, definition));
+            Object.entries(plugin.metrics || {}).forEach(([metric, compute]) => this.registerMetric(metric, compute));
+
+            const entry = { plugin, teardown: null };
+            this.plugins.set(name, entry);
+            if (typeof plugin.setup === 'function') {
+                const teardown = plugin.setup(this);
+                entry.teardown = typeof teardown === 'function' ? teardown : null;
+            }
+            return true;
+        } catch (e) {
+            console.warn(`Could not install evolution plugin "${name}": ${e.message}`);
+            Object.entries(registries).forEach(([registry, entries]) => {
+                this[registry] = entries;
+            });
+            if (this.plugins.has(name) && this.plugins.get(name).plugin === plugin) {
+                this.plugins.delete(name);
+            }
+            return false;
+        }
     }
 
-    setupEvolutionRules() {
-        return [
-            {
-                name: 'projects_priority',
-                condition: (data) => 
-                    data.clicks.projects > data.clicks.about + 2 && 
-                    data.timeOnSections.projects > data.timeOnSections.about,
-                action: () => this.moveProjectsUp(),
-                cooldown: 30000 // 30 seconds
+    registerAction(name, definition) {
+        if (this.actions[name]) {
+            throw new Error(`action "${name}" is already registered`);
+        }
+        if (!definition || typeof definition.run !== 'function') {
+            throw new Error(`action "${name}" needs a run(params, engine) function`);
+        }
+        this.actions[name] = { ...definition, run: (params) => definition.run(params, this) };
+    }
+
+    registerCondition(name, definition) {
+        if (this.conditions[name]) {
+            throw new Error(`condition "${name}" is already registered`);
+        }
+        if (!definition || typeof definition.test !== 'function') {
+            throw new Error(`condition "${name}" needs a test(data, params, engine) function`);
+        }
+        this.conditions[name] = { ...definition, test: (data, params) => definition.test(data, params, this) };
+    }
+
+    registerMetric(name, definition) {
+        const { compute, dependsOn } = typeof definition === 'function' ? { compute: definition } : (definition || {});
+        if (this.metrics[name]) {
+            throw new Error(`metric "${name}" is already registered`);
+        }
+        if (typeof compute !== 'function') {
+            throw new Error(`metric "${name}" must be a function or { compute, dependsOn }`);
+        }
+        this.metrics[name] = (data) => compute(data, this);
+        if (dependsOn) {
+            this.metricDependencies[name] = dependsOn.slice();
+        }
+    }
+
+    setupEvolutionRules(rulesConfig) {
+        try {
+            return this.loadRules(rulesConfig);
+        } catch (e) {
+            console.error(e.message);
+            let fallback = [];
+            if (rulesConfig !== evolutionRulesConfig) {
+                console.warn('Falling back to the default evolution rules.');
+                fallback = this.loadRules(evolutionRulesConfig);
+            }
+            // Remember what was asked for, so installing a missing plugin later can make it valid
+            this.rulesConfig = rulesConfig;
+            return fallback;
+        }
+    }
+
+    // Actions that rule configs may reference by name, with the params each accepts
+    setupEvolutionActions() {
+        return {
+            moveProjectsUp: {
+                run: () => this.moveProjectsUp(),
+                targets: ['#projects', '#about']
             },
-            {
-                name: 'cta_optimization',
-                condition: (data) => data.clicks.cta > 3 || data.clicks.contact > 5,
-                action: () => this.optimizeCTA(),
-                cooldown: 45000
+            optimizeCTA: {
+                run: (params) => this.optimizeCTA(params),
+                params: ['primary', 'primaryDark', 'contactLabel', 'exploreLabel', 'submitLabel'],
+                targets: ['#contactHero', '#exploreProjects', '.contact-form .btn-primary']
             },
-            {
-                name: 'dark_theme_default',
-                condition: (data) => data.clicks.themeToggle > 1 && data.themePreference === 'dark',
-                action: () => this.setDarkThemeDefault(),
-                cooldown: 60000
+            // Palettes are theme layers and stack, so the dark default doesn't claim any element
+            setDarkThemeDefault: { run: () => this.setDarkThemeDefault() },
+            highlightPopularProject: {
+                run: (params) => this.highlightPopularProject(params),
+                params: ['project'],
+                content: { project: 'projects' },
+                targets: ['.project-card']
             },
-            {
-                name: 'project_highlight',
-                condition: (data) => data.clicks.projects > 8,
-                action: () => this.highlightPopularProject(),
-                cooldown: 25000
+            reorderProjects: {
+                run: () => this.reorderProjects(),
+                targets: ['.projects-grid']
             },
-            {
-                name: 'content_reveal',
-                condition: (data) => data.scrollDepth > 70,
-                action: () => this.revealAdditionalContent(),
-                cooldown: 30000
+            revealAdditionalContent: {
+                run: (params) => this.revealAdditionalContent(params),
+                params: ['block'],
+                content: { block: 'blocks' },
+                targets: ['.evolution-content']
             },
-            {
-                name: 'engagement_reward',
-                condition: (data) => this.tracker.getEngagementScore() > 50,
-                action: () => this.showEngagementReward(),
-                cooldown: 60000
+            showEngagementReward: {
+                run: (params) => this.showEngagementReward(params),
+                params: ['duration'],
+                persistent: false, // A one-off reward, never replayed on reload
+                targets: ['.engagement-badge']
             },
-            {
-                name: 'personalized_greeting',
-                condition: (data) => data.visitCount > 2,
-                action: () => this.personalizeGreeting(),
-                cooldown: 0 // No cooldown
+            personalizeGreeting: {
+                run: (params) => this.personalizeGreeting(params),
+                params: ['text'],
+                targets: ['.hero-title']
             },
-            {
-                name: 'interactive_boost',
-                condition: (data) => data.clicks.projects > 15,
-                action: () => this.enhanceInteractivity(),
-                cooldown: 40000
+            personalizeContactForm: {
+                run: () => this.personalizeContactForm(),
+                targets: ['#subject', '#message']
+            },
+            enhanceInteractivity: {
+                run: () => this.enhanceInteractivity(),
+                targets: ['.project-card']
             }
-        ];
+        };
     }
 
-    checkEvolutionRules() {
-        const data = this.tracker.getData();
-        
-        this.evolutionRules.forEach(rule => {
-            if (this.shouldApplyRule(rule, data)) {
-                rule.action();
-                this.currentEvolutions.add(rule.name);
-                this.lastAppliedTimes.set(rule.name, Date.now());
+    // Tracker data each computed metric below is derived from
+    static get METRIC_DEPENDENCIES() {
+        return {
+            engagementScore: ['clicks', 'timeOnSections', 'scrollDepth'],
+            topProjectScore: ['projects']
+        };
+    }
+
+    // Computed metrics available to rule conditions alongside raw tracker data paths
+    setupMetrics() {
+        return {
+            engagementScore: () => this.tracker.getEngagementScore(),
+            topProjectScore: () => {
+                const [top] = this.tracker.getProjectRanking();
+                return top ? top.score : 0;
             }
+        };
+    }
+
+    createRuleCompiler() {
+        return new RuleCompiler({
+            actions: this.actions,
+            conditions: this.conditions,
+            metrics: this.metrics,
+            metricDependencies: this.metricDependencies,
+            dataShape: this.tracker.getRuleDataShape(),
+            segments: this.tracker,
+            content: this.content,
+            goals: ExperimentManager.GOALS,
+            banditStrategies: BanditSelector.STRATEGIES
         });
     }
 
+    // Replace the active rules; throws RuleConfigError listing every problem found
+    loadRules(rulesConfig) {
+        this.evolutionRules = this.createRuleCompiler().compile(this.withPluginRules(rulesConfig));
+        this.rulesConfig = rulesConfig;
+        this.ruleIndex = this.indexRules(this.evolutionRules);
+        const budget = rulesConfig.budget || {};
+        this.budgetLimit = budget.perSession === undefined ? Infinity : budget.perSession;
+        const bandit = rulesConfig.bandit;
+        this.bandit = bandit && bandit.enabled ? new BanditSelector({ ...bandit, storage: this.storage, clock: this.clock }) : null;
+        if (this.running) {
+            this.scheduleCheck(['*']);
+        }
+        return this.evolutionRules;
+    }
+
+    // Rules by the top-level data field they depend on ('clicks', 'session', ...), so a change
+    // only looks at the rules that could be affected by it
+    indexRules(rules) {
+        const index = new Map();
+        rules.forEach((rule, order) => {
+            rule.order = order;
+            new Set(rule.dependencies.map(path => path.split('.')[0])).forEach(field => {
+                if (!index.has(field)) {
+                    index.set(field, []);
+                }
+                index.get(field).push(rule);
+            });
+        });
+        return index;
+    }
+
+    // 'clicks' covers 'clicks.projects' and the other way round
+    static dependencyMatches(dependency, change) {
+        return dependency === change || dependency.startsWith(`${change}.`) || change.startsWith(`${dependency}.`);
+    }
+
+    // Rules whose dependencies overlap the changed paths, plus any named ones, in rule order
+    getAffectedRules(changes, names = []) {
+        if (changes.includes('*')) {
+            return this.evolutionRules.slice();
+        }
+
+        const affected = new Set((this.ruleIndex.get('*') || []));
+        changes.forEach(change => {
+            (this.ruleIndex.get(change.split('.')[0]) || []).forEach(rule => {
+                if (rule.dependencies.some(dependency => EvolutionEngine.dependencyMatches(dependency, change))) {
+                    affected.add(rule);
+                }
+            });
+        });
+        names.forEach(name => {
+            const rule = this.evolutionRules.find(r => r.name === name);
+            if (rule) affected.add(rule);
+        });
+        return Array.from(affected).sort((a, b) => a.order - b.order);
+    }
+
+    withPluginRules(rulesConfig) {
+        const extra = Array.from(this.plugins.values()).flatMap(({ plugin }) => plugin.rules || []);
+        if (extra.length === 0 || !rulesConfig || !Array.isArray(rulesConfig.rules)) {
+            return rulesConfig;
+        }
+        return { ...rulesConfig, rules: [...rulesConfig.rules, ...extra] };
+    }
+
+    async loadRulesFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load evolution rules from ${url}: ${response.status}`);
+        }
+        return this.loadRules(await response.json());
+    }
+
+    // Evolving needs both recorded behavior and permission to personalize with it
+    canEvolve() {
+        return this.consent.isGranted('analytics') && this.consent.isGranted('personalization');
+    }
+
+    handleConsentChange(choices, previous) {
+        const withdrawn = ['analytics', 'personalization'].some(category => previous[category] && !choices[category]);
+        if (withdrawn) {
+            this.clearPersonalData();
+        } else if (this.canEvolve()) {
+            this.restoreEvolvedState();
+            this.evolutionHistory = this.loadEvolutionHistory();
+            this.scheduleCheck(['*']);
+        }
+    }
+
+    // Undo every evolution on the page and wipe what was stored about the visitor
+    clearPersonalData() {
+        Array.from(this.inverses.entries()).reverse().forEach(([name, inverse]) => {
+            inverse();
+            this.events.emit('evolution:reverted', { rule: name, rejected: false });
+        });
+        this.clearNotices();
+        this.evolutionHistory = [];
+        this.resetEvolvedState();
+        this.experiments.clear();
+        if (this.bandit) {
+            this.bandit.clear();
+        }
+        this.storage.remove('evolutionHistory');
+    }
+
+    // Evaluate the rules affected by the given changes (all of them by default). Qualifying rules
+    // go highest priority first; a rule waits while an evolution it conflicts with is on the page
+    // (an applied evolution is never displaced) and nothing new applies once the session's
+    // budget is spent.
+    checkEvolutionRules(changes = ['*'], ruleNames = []) {
+        if (!this.canEvolve()) return;
+
+        // A new session brings a fresh budget, so rules held back by the old one get another look
+        if (this.refreshBudget()) {
+            changes = ['*'];
+        }
+
+        const data = this.tracker.getRuleData();
+        const eligible = this.getAffectedRules(changes, ruleNames).filter(rule => {
+            if (!this.shouldApplyRule(rule, data)) return false;
+
+            // Still cooling down: nothing may change in the meantime, so come back when it's over
+            const cooldownLeft = (this.lastAppliedTimes.get(rule.name) || 0) + rule.cooldown - this.clock.now();
+            if (cooldownLeft >= 0) {
+                this.scheduleRuleCheck(rule.name, cooldownLeft + 1);
+                return false;
+            }
+            return true;
+        }).sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+        if (this.bandit) {
+            this.checkBanditRules(this.getRemainingBudget() > 0 ? eligible.filter(rule => !this.hasActiveConflict(rule)) : []);
+            return;
+        }
+
+        eligible.forEach(rule => {
+            if (this.getRemainingBudget() > 0 && !this.hasActiveConflict(rule)) {
+                this.commitRule(rule);
+            }
+        });
+    }
+
+    // Rules that can't both be on the page: one excludes the other or they change the same elements
+    static rulesConflict(a, b) {
+        return a.name !== b.name && (a.excludes.includes(b.name) || b.excludes.includes(a.name) ||
+            a.targets.some(target => b.targets.includes(target)));
+    }
+
+    hasActiveConflict(rule) {
+        return this.evolutionRules.some(other =>
+            this.currentEvolutions.has(other.name) && EvolutionEngine.rulesConflict(rule, other));
+    }
+
+    getRemainingBudget() {
+        return Math.max(0, this.budgetLimit - this.budget.spent);
+    }
+
+    // limit and remaining are null when the rules set no budget
+    getBudget() {
+        const limited = this.budgetLimit !== Infinity;
+        return {
+            limit: limited ? this.budgetLimit : null,
+            spent: this.budget.spent,
+            remaining: limited ? this.getRemainingBudget() : null
+        };
+    }
+
+    // The budget is per tracker session; returns true when a new session has reset it
+    refreshBudget() {
+        const session = this.tracker.getSessionId();
+        if (this.budget.session === session) {
+            return false;
+        }
+        this.budget = { session, spent: 0 };
+        this.saveEvolvedState();
+        return true;
+    }
+
+    // Bandit mode: apply one eligible evolution at a time and reward it once its window closes
+    checkBanditRules(eligible) {
+        const score = this.tracker.getEngagementScore();
+        this.bandit.settle(score);
+        if (this.bandit.hasPendingTrial() || eligible.length === 0) {
+            return;
+        }
+
+        const chosen = this.bandit.choose(eligible.map(rule => rule.name));
+        if (this.commitRule(eligible.find(rule => rule.name === chosen))) {
+            this.bandit.startTrial(chosen, score);
+            this.scheduleBanditSettle();
+        }
+    }
+
+    commitRule(rule) {
+        if (!this.applyRule(rule)) {
+            return false;
+        }
+        this.currentEvolutions.add(rule.name);
+        this.lastAppliedTimes.set(rule.name, this.clock.now());
+        // Only visible changes spend the budget; a control variant or an action with nothing to do is free
+        if (this.inverses.has(rule.name)) {
+            this.budget.spent++;
+        }
+        this.saveEvolvedState();
+        return true;
+    }
+
+    // Outcomes reported by the app feed both experiments and the bandit
+    recordConversion(goal) {
+        if (!this.canEvolve()) return;
+
+        this.experiments.recordConversion(goal);
+        if (this.bandit) {
+            this.bandit.recordConversion();
+        }
+    }
+
+    // Re-apply persisted evolutions silently (no notices, no history entries, no animations),
+    // once per page load
+    replayEvolutions() {
+        if (this.replayed || !this.canEvolve()) return;
+
+        this.replayed = true;
+        this.replaying = true;
+        try {
+            const replayed = [];
+            Array.from(this.currentEvolutions).forEach(name => {
+                const rule = this.evolutionRules.find(r => r.name === name);
+                // The rules may have changed since; of two that now conflict, the first one stays
+                const conflicting = rule && replayed.some(other => EvolutionEngine.rulesConflict(rule, other));
+                if (rule && rule.persistent && !conflicting && this.applyRule(rule)) {
+                    replayed.push(rule);
+                } else if (rule && rule.persistent) {
+                    this.currentEvolutions.delete(name);
+                    this.saveEvolvedState();
+                }
+            });
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    // Run a rule's action and keep the inverse operation it returns for rollback.
+    // Returns false when the evolution was refused for accessibility reasons.
+    applyRule(rule) {
+        const action = this.selectAction(rule);
+        if (!action) {
+            return true;
+        }
+
+        const before = this.events.emit('evolution:before', {
+            rule: rule.name,
+            replaying: this.replaying,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            }
+        });
+        if (before.defaultPrevented) {
+            return false;
+        }
+
+        const knownProblems = new Set(this.accessibility.findKeyboardOrderProblems());
+        let inverse = null;
+        let refusal = null;
+        // The action's history entry and notices wait until the keyboard check has passed
+        const held = this.heldEffects = [];
+        this.activeRule = rule.name;
+        try {
+            inverse = action();
+            const newProblems = this.accessibility.findKeyboardOrderProblems()
+                .filter(problem => !knownProblems.has(problem));
+            if (newProblems.length > 0) {
+                throw new EvolutionRefusedError(rule.name, `it breaks keyboard order (${newProblems.join(', ')})`);
+            }
+        } catch (e) {
+            if (!(e instanceof EvolutionRefusedError)) throw e;
+            refusal = e;
+        } finally {
+            this.activeRule = null;
+            this.heldEffects = null;
+        }
+
+        if (refusal) {
+            if (typeof inverse === 'function') {
+                inverse();
+            }
+            this.refuseEvolution(rule.name, refusal.reason);
+            return false;
+        }
+        held.forEach(release => release());
+        if (typeof inverse === 'function') {
+            this.inverses.set(rule.name, inverse);
+        }
+        this.events.emit('evolution:applied', { rule: rule.name, replaying: this.replaying });
+        return true;
+    }
+
+    refuseEvolution(name, reason) {
+        this.refusedEvolutions.add(name);
+        this.dropNotices(name);
+        this.accessibility.announce('');
+        console.warn(`Evolution "${name}" refused: ${reason}`);
+        this.logEvolution(`Evolution "${name}" refused: ${reason}`, { type: 'refused', rule: name });
+        this.events.emit('evolution:refused', { rule: name, reason });
+    }
+
+    // Rules running an experiment apply the visitor's assigned variant; the control applies nothing
+    selectAction(rule) {
+        if (!rule.experiment) {
+            return rule.action;
+        }
+
+        const variant = this.experiments.assign(rule.name, rule.experiment.variants);
+        this.experiments.recordExposure(rule.name, variant.name, rule.experiment.goals, { control: variant.control });
+        return variant.action;
+    }
+
+    // Cooldowns are checked separately by checkEvolutionRules()
     shouldApplyRule(rule, data) {
-        const lastApplied = this.lastAppliedTimes?.get(rule.name) || 0;
-        const cooldownPassed = Date.now() - lastApplied > rule.cooldown;
         const notCurrentlyActive = !this.currentEvolutions.has(rule.name);
+        const notRejected = !this.rejectedEvolutions.has(rule.name) && !this.refusedEvolutions.has(rule.name);
         
-        return rule.condition(data) && cooldownPassed && notCurrentlyActive;
+        return notRejected && notCurrentlyActive && rule.condition(data);
+    }
+
+    revertEvolution(name, { rejected = false } = {}) {
+        if (!this.currentEvolutions.has(name)) {
+            return false;
+        }
+
+        const inverse = this.inverses.get(name);
+        if (inverse) {
+            inverse();
+        }
+
+        this.inverses.delete(name);
+        this.currentEvolutions.delete(name);
+        this.dropNotices(name);
+        if (rejected) {
+            this.rejectedEvolutions.add(name);
+            if (this.bandit) {
+                this.bandit.penalize(name);
+            }
+        }
+        this.saveEvolvedState();
+
+        this.logEvolution(rejected ? `Evolution "${name}" rejected by the user.` : `Evolution "${name}" reverted.`, {
+            type: 'reverted',
+            rule: name
+        });
+        this.events.emit('evolution:reverted', { rule: name, rejected });
+        // Rules it held back may apply now, and it may apply again once its cooldown is over
+        const reverted = this.evolutionRules.find(rule => rule.name === name);
+        const freed = reverted ? this.evolutionRules
+            .filter(rule => EvolutionEngine.rulesConflict(rule, reverted))
+            .map(rule => rule.name) : [];
+        this.scheduleCheck([], rejected ? freed : [name, ...freed]);
+        return true;
+    }
+
+    // Revert and remember that the visitor didn't want it, so the rule won't fire again
+    rejectEvolution(name) {
+        return this.revertEvolution(name, { rejected: true });
+    }
+
+    revertAll() {
+        Array.from(this.currentEvolutions).reverse().forEach(name => this.revertEvolution(name));
+    }
+
+    // Revert every evolution applied after the given evolutionHistory entry, newest first
+    revertTo(historyIndex) {
+        const laterRules = this.evolutionHistory
+            .slice(historyIndex + 1)
+            .filter(event => event.rule && event.type !== 'reverted')
+            .map(event => event.rule)
+            .reverse();
+
+        new Set(laterRules).forEach(name => this.revertEvolution(name));
+    }
+
+    // Palette changes go through the theme as a layer scoped to the running rule, so they stack
+    // with other evolutions, give way to the visitor's own theme choice and revert cleanly
+    applyPalette(layer, scope = this.activeRule || 'evolution') {
+        const problem = this.checkPaletteLayer(scope, layer);
+        if (problem) {
+            throw new EvolutionRefusedError(scope, problem);
+        }
+
+        return this.theme.setLayer(scope, layer);
+    }
+
+    // Checked against the palette the layer will actually be shown on, ignoring any user override
+    checkPaletteLayer(scope, layer) {
+        const layers = this.theme.getLayers();
+        layers.delete(scope);
+        layers.set(scope, layer);
+        const { tokens } = this.theme.resolve({ layers, override: null });
+
+        return this.accessibility.checkPalette({
+            primary: tokens['--primary'],
+            primaryDark: tokens['--primary-dark'],
+            background: tokens['--bg']
+        });
+    }
+
+    // A layer that passed on one palette can fail on another (say, after the system switches to
+    // dark), so re-check whenever the theme changes and revert what no longer passes
+    checkPaletteLayers() {
+        this.theme.getLayers().forEach((layer, scope) => {
+            const problem = this.currentEvolutions.has(scope) && this.checkPaletteLayer(scope, layer);
+            if (problem) {
+                this.revertEvolution(scope);
+                this.refuseEvolution(scope, problem);
+            }
+        });
+    }
+
+    // Capture inline styles so an action can put them back exactly as they were
+    snapshotStyles(elements, properties) {
+        const snapshots = Array.from(elements).map(element => ({
+            element,
+            values: properties.map(property => element.style[property])
+        }));
+
+        return () => snapshots.forEach(({ element, values }) => {
+            properties.forEach((property, i) => {
+                element.style[property] = values[i];
+            });
+        });
     }
 
     moveProjectsUp() {
@@ -101,86 +870,127 @@ class EvolutionEngine {
 
         if (aboutSection && projectsSection && container && 
             projectsSection.nextElementSibling !== aboutSection) {
-            
-            // Add animation class
-            projectsSection.style.opacity = '0';
-            aboutSection.style.opacity = '0';
-            
-            setTimeout(() => {
-                container.insertBefore(projectsSection, aboutSection);
-                
-                // Animate back in
-                setTimeout(() => {
-                    projectsSection.style.opacity = '1';
-                    aboutSection.style.opacity = '1';
-                }, 100);
-            }, 300);
+
+            const originalNext = projectsSection.nextSibling;
+            const restoreOpacity = this.snapshotStyles([projectsSection, aboutSection], ['opacity']);
+            const restoreOrder = () => {
+                restoreOpacity();
+                container.insertBefore(projectsSection, originalNext);
+            };
+
+            const moveUp = () => this.accessibility.preserveFocus(() => container.insertBefore(projectsSection, aboutSection));
+            let moveTimer = null;
+
+            if (this.replaying || this.accessibility.prefersReducedMotion()) {
+                moveUp();
+            } else {
+                // Add animation class
+                projectsSection.style.opacity = '0';
+                aboutSection.style.opacity = '0';
+
+                moveTimer = this.clock.setTimeout(() => {
+                    moveUp();
+
+                    // Animate back in
+                    this.clock.setTimeout(() => {
+                        projectsSection.style.opacity = '1';
+                        aboutSection.style.opacity = '1';
+                    }, 100);
+                }, 300);
+            }
             
             this.logEvolution("Projects section moved up based on your interest!");
-            this.showEvolutionNotice("🎯 Projects prioritized! Moved to top based on your interest.");
+            this.showEvolutionNotice('evolution.projectsPrioritized');
+
+            return () => {
+                this.clock.clearTimeout(moveTimer);
+                this.accessibility.preserveFocus(restoreOrder);
+            };
         }
+
+        return null;
     }
 
-    optimizeCTA() {
+    // The default greens keep white button text above 4.5:1; brighter ones are refused
+    optimizeCTA({
+        primary = '#047857',
+        primaryDark = '#065f46',
+        contactLabel = 'cta.buildTogether',
+        exploreLabel = 'cta.seeMyWork',
+        submitLabel = 'cta.sendNow'
+    } = {}) {
         // Change primary color to success green
-        document.documentElement.style.setProperty('--primary', '#10b981');
-        document.documentElement.style.setProperty('--primary-dark', '#059669');
+        const restorePalette = this.applyPalette({ tokens: { '--primary': primary, '--primary-dark': primaryDark } });
         
         // Update CTA buttons
         const contactMeBtn = document.getElementById('contactHero');
         const exploreBtn = document.getElementById('exploreProjects');
         const submitContactBtn = document.querySelector('#submitContact') || 
                                 document.querySelector('.contact-form .btn-primary');
+        const previousLabels = [];
         
-        if (contactMeBtn) {
-            const span = contactMeBtn.querySelector('span');
-            if (span) span.textContent = "Let's Build Together!";
-        }
-        
-        if (exploreBtn) {
-            const span = exploreBtn.querySelector('span');
-            if (span) span.textContent = "See My Work →";
-        }
-        
-        if (submitContactBtn) {
-            const span = submitContactBtn.querySelector('span');
-            if (span) span.textContent = "Send Message Now!";
-        }
+        // Labels are message keys; keeping them in data-i18n re-translates them on a language switch
+        [[contactMeBtn, contactLabel], [exploreBtn, exploreLabel], [submitContactBtn, submitLabel]]
+            .forEach(([button, label]) => {
+                const span = button?.querySelector('span');
+                if (span) {
+                    previousLabels.push({ span, key: span.dataset.i18n, text: span.textContent });
+                    this.setMessage(span, label);
+                }
+            });
         
         this.logEvolution("CTA buttons optimized based on engagement!");
-        this.showEvolutionNotice("✨ CTAs enhanced! Buttons optimized for better conversion.");
+        this.showEvolutionNotice('evolution.ctaOptimized');
+
+        return () => {
+            restorePalette();
+            previousLabels.forEach(({ span, key, text }) => {
+                if (key) {
+                    this.setMessage(span, key);
+                } else {
+                    delete span.dataset.i18n;
+                    span.textContent = text;
+                }
+            });
+        };
     }
 
+    // Makes dark the default for this visitor; their own theme choice still comes first
     setDarkThemeDefault() {
-        if (!document.body.classList.contains('dark-theme')) {
-            document.body.classList.add('dark-theme');
-            const themeToggle = document.getElementById('themeToggle');
-            if (themeToggle) {
-                themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
-            }
-            
-            // Update theme preference in tracker
-            this.tracker.trackThemePreference('dark');
-            
-            this.logEvolution("Dark theme set as default based on user preference!");
-            this.showEvolutionNotice("🌙 Dark theme activated as your default preference.");
+        if (this.theme.resolve({ override: null }).scheme === 'dark') {
+            return null;
         }
+
+        const restorePalette = this.applyPalette({ palette: 'dark' });
+
+        this.logEvolution("Dark theme set as default based on user preference!");
+        this.showEvolutionNotice('evolution.darkTheme');
+
+        return restorePalette;
     }
 
-    highlightPopularProject() {
-        const projectCards = document.querySelectorAll('.project-card');
-        projectCards.forEach((card, index) => {
-            // Add staggered animation
-            setTimeout(() => {
-                card.style.transform = 'scale(1.05)';
-                card.style.boxShadow = '0 20px 40px rgba(99, 102, 241, 0.3)';
-                card.style.border = '2px solid var(--primary)';
-                
-                // Add glow effect
-                card.style.animation = 'project-glow 2s ease-in-out infinite';
-            }, index * 200);
-        });
-        
+    findProjectCard(project) {
+        return Array.from(document.querySelectorAll('.project-card'))
+            .find(card => card.dataset.project === project) || null;
+    }
+
+    // Glow the given project, or the one the visitor engaged with most
+    highlightPopularProject({ project = this.tracker.getPopularProject() } = {}) {
+        const card = this.findProjectCard(project);
+        if (!card) {
+            return null;
+        }
+
+        const restoreCard = this.snapshotStyles([card], ['transform', 'boxShadow', 'border', 'animation']);
+        card.style.boxShadow = '0 20px 40px rgba(99, 102, 241, 0.3)';
+        card.style.border = '2px solid var(--primary)';
+
+        // Add glow effect; a static highlight when the visitor prefers less motion
+        if (!this.accessibility.prefersReducedMotion()) {
+            card.style.transform = 'scale(1.05)';
+            card.style.animation = 'project-glow 2s ease-in-out infinite';
+        }
+
         // Add custom animation
         const style = document.createElement('style');
         style.textContent = `
@@ -190,33 +1000,55 @@ class EvolutionEngine {
             }
         `;
         document.head.appendChild(style);
-        
-        this.logEvolution("Projects highlighted based on user interest!");
-        this.showEvolutionNotice("💎 Projects highlighted! Your interest in my work is noted.");
+
+        const title = card.querySelector('.project-title')?.textContent || card.dataset.project;
+        this.logEvolution(`Most popular project highlighted: ${title}`);
+        this.showEvolutionNotice('evolution.projectHighlighted', { title });
+
+        return () => {
+            restoreCard();
+            style.remove();
+        };
+    }
+
+    // Order the project grid by the visitor's ranking; unranked projects keep their relative order
+    reorderProjects() {
+        const grid = document.querySelector('.projects-grid');
+        const ranking = this.tracker.getProjectRanking().map(project => project.id);
+        if (!grid || ranking.length === 0) {
+            return null;
+        }
+
+        const original = Array.from(grid.children);
+        const rank = card => {
+            const index = ranking.indexOf(card.dataset.project);
+            return index === -1 ? ranking.length : index;
+        };
+        const ordered = original.slice().sort((a, b) => rank(a) - rank(b));
+        if (ordered.every((card, i) => card === original[i])) {
+            return null;
+        }
+
+        this.accessibility.preserveFocus(() => ordered.forEach(card => grid.appendChild(card)));
+
+        this.logEvolution("Projects reordered by your interest!");
+        this.showEvolutionNotice('evolution.projectsReordered');
+
+        return () => this.accessibility.preserveFocus(() => original.forEach(card => grid.appendChild(card)));
     }
 
-    revealAdditionalContent() {
+    revealAdditionalContent({ block = 'process-insights' } = {}) {
+        const content = this.content && this.content.get('blocks', block);
+        if (!content) {
+            console.warn(`Unknown content block "${block}".`);
+            return null;
+        }
+
         // Create and show additional content
         const additionalContent = document.createElement('div');
         additionalContent.className = 'evolution-content glass-card';
-        additionalContent.innerHTML = `
-            <h3>🎉 Special Content Unlocked!</h3>
-            <p>Your deep engagement has revealed additional insights about my work process and methodology.</p>
-            <div class="evolution-features">
-                <div class="evolution-feature">
-                    <i class="fas fa-brain"></i>
-                    <span>AI-Powered Development</span>
-                </div>
-                <div class="evolution-feature">
-                    <i class="fas fa-chart-line"></i>
-                    <span>Performance Analytics</span>
-                </div>
-                <div class="evolution-feature">
-                    <i class="fas fa-users"></i>
-                    <span>User Behavior Analysis</span>
-                </div>
-            </div>
-        `;
+        additionalContent.dataset.contentId = block;
+        additionalContent.innerHTML = new ContentRenderer(this.content).renderBlock(content);
         
         additionalContent.style.cssText = `
             margin: 40px auto;
@@ -231,17 +1063,19 @@ class EvolutionEngine {
         }
         
         this.logEvolution("Additional content revealed due to deep engagement!");
-        this.showEvolutionNotice("🔓 Exclusive content unlocked! Scroll to see more.");
+        this.showEvolutionNotice('evolution.contentUnlocked');
+
+        return () => additionalContent.remove();
     }
 
-    showEngagementReward() {
+    showEngagementReward({ duration = 5000 } = {}) {
         // Create a special badge or reward
         const engagementBadge = document.createElement('div');
         engagementBadge.className = 'engagement-badge';
         engagementBadge.innerHTML = `
             <div class="badge-content">
                 <i class="fas fa-trophy"></i>
-                <span>High Engager</span>
+                <span data-i18n="evolution.engagementBadge"></span>
             </div>
         `;
         
@@ -259,44 +1093,134 @@ class EvolutionEngine {
             box-shadow: var(--shadow-lg);
         `;
         
+        this.i18n.translate(engagementBadge);
         document.body.appendChild(engagementBadge);
         
-        // Remove after 5 seconds
-        setTimeout(() => {
+        // Remove after the configured duration
+        this.clock.setTimeout(() => {
             engagementBadge.style.animation = 'bounceOut 0.6s ease';
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 if (engagementBadge.parentNode) {
                     engagementBadge.parentNode.removeChild(engagementBadge);
                 }
             }, 600);
-        }, 5000);
+        }, duration);
         
         this.logEvolution("Engagement reward shown to user!");
-        this.showEvolutionNotice("🏆 High engagement detected! Thanks for exploring my portfolio.");
+        this.showEvolutionNotice('evolution.engagementReward');
+
+        return () => engagementBadge.remove();
     }
 
-    personalizeGreeting() {
+    personalizeGreeting({ text = 'greeting.welcomeBack' } = {}) {
         const visitCount = this.tracker.getData().visitCount;
         const heroTitle = document.querySelector('.hero-title');
         
         if (heroTitle && visitCount > 2) {
             const titleLines = heroTitle.querySelectorAll('.title-line');
             if (titleLines.length >= 2) {
-                titleLines[1].textContent = 'Welcome Back!';
-                titleLines[1].classList.add('gradient-text');
+                const line = titleLines[1];
+                const previousKey = line.dataset.i18n;
+                const previousText = line.textContent;
+                const hadGradient = line.classList.contains('gradient-text');
+
+                this.setMessage(line, text);
+                line.classList.add('gradient-text');
                 
                 this.logEvolution("Personalized greeting shown to returning visitor!");
+
+                return () => {
+                    if (previousKey) {
+                        this.setMessage(line, previousKey);
+                    } else {
+                        delete line.dataset.i18n;
+                        line.textContent = previousText;
+                    }
+                    line.classList.toggle('gradient-text', hadGradient);
+                };
             }
         }
+
+        return null;
+    }
+
+    // Preselect the project type and offer an opening line based on the projects the visitor
+    // explored; never overwrites anything the visitor already chose or typed
+    personalizeContactForm() {
+        const subject = document.getElementById('subject');
+        const message = document.getElementById('message');
+        if (!subject || !message || !this.content) {
+            return null;
+        }
+
+        const projects = this.tracker.getProjectRanking()
+            .slice(0, 2)
+            .map(project => this.content.get('projects', project.id))
+            .filter(Boolean);
+        if (projects.length === 0) {
+            return null;
+        }
+
+        const previousSubject = subject.value;
+        const likelySubject = projects.find(project => project.contactSubject)?.contactSubject;
+        const canSelect = Array.from(subject.options).some(option => option.value === likelySubject);
+        const preselected = !subject.value && canSelect ? likelySubject : null;
+        if (preselected) {
+            subject.value = preselected;
+        }
+
+        let suggestion = null;
+        if (!message.value) {
+            suggestion = document.createElement('div');
+            suggestion.className = 'message-suggestion';
+            suggestion.innerHTML = `
+                <span data-i18n="suggestion.label"></span>
+                <q></q>
+                <button type="button" class="suggestion-use" data-i18n="suggestion.use"></button>
+            `;
+            const quote = suggestion.querySelector('q');
+            this.setMessage(quote, 'suggestion.message', {
+                projects: this.i18n.formatList(projects.map(project => project.title))
+            });
+            this.i18n.translate(suggestion);
+            suggestion.querySelector('.suggestion-use').addEventListener('click', () => {
+                const line = quote.textContent;
+                message.value = message.value ? `${line}\n\n${message.value}` : line;
+                message.dispatchEvent(new Event('input', { bubbles: true }));
+                message.focus();
+                message.setSelectionRange(message.value.length, message.value.length);
+                suggestion.remove();
+            });
+            message.insertAdjacentElement('afterend', suggestion);
+        }
+
+        if (!preselected && !suggestion) {
+            return null;
+        }
+
+        this.logEvolution("Contact form tailored to the projects you explored!");
+        this.showEvolutionNotice('evolution.contactTailored');
+
+        return () => {
+            if (suggestion) {
+                suggestion.remove();
+            }
+            if (preselected && subject.value === preselected) {
+                subject.value = previousSubject;
+            }
+        };
     }
 
     enhanceInteractivity() {
         // Add micro-interactions to project cards
         const projectCards = document.querySelectorAll('.project-card');
+        const restoreCursor = this.snapshotStyles(projectCards, ['cursor']);
+        const onEnter = (e) => this.enhancedCardHover(e);
+        const onLeave = (e) => this.enhancedCardLeave(e);
         projectCards.forEach(card => {
             card.style.cursor = 'pointer';
-            card.addEventListener('mouseenter', this.enhancedCardHover);
-            card.addEventListener('mouseleave', this.enhancedCardLeave);
+            card.addEventListener('mouseenter', onEnter);
+            card.addEventListener('mouseleave', onLeave);
         });
         
         // Add CSS for enhanced interactions
@@ -328,7 +1252,17 @@ class EvolutionEngine {
         document.head.appendChild(style);
         
         this.logEvolution("Enhanced interactivity added to project cards!");
-        this.showEvolutionNotice("🎮 Enhanced interactivity! Hover over projects for new effects.");
+        this.showEvolutionNotice('evolution.interactivity');
+
+        return () => {
+            projectCards.forEach(card => {
+                card.removeEventListener('mouseenter', onEnter);
+                card.removeEventListener('mouseleave', onLeave);
+                card.classList.remove('enhanced-hover');
+            });
+            restoreCursor();
+            style.remove();
+        };
     }
 
     // Enhanced hover effects
@@ -337,9 +1271,10 @@ class EvolutionEngine {
         card.classList.add('enhanced-hover');
         
         // Add particle effect on hover
+        if (this.accessibility.prefersReducedMotion()) return;
         const rect = card.getBoundingClientRect();
         for (let i = 0; i < 5; i++) {
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.createHoverParticle(rect);
             }, i * 100);
         }
@@ -379,42 +1314,118 @@ class EvolutionEngine {
             easing: 'ease-out'
         });
         
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             if (particle.parentNode) {
                 particle.parentNode.removeChild(particle);
             }
         }, 1000);
     }
 
-    showEvolutionNotice(message) {
+    // Show translated text in an element and keep its key there so a language switch updates it
+    setMessage(element, key, params = null) {
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.i18n.t(key, params || {});
+    }
+
+    static get NOTICE_TIMING() {
+        return {
+            duration: 5000, // How long each notice stays up
+            gap: 400 // Pause between queued notices so the hide transition can play
+        };
+    }
+
+    // Notices are message keys (see locales/), e.g. showEvolutionNotice('evolution.projectHighlighted', { title }).
+    // There is one notice element, so notices queue up and show one at a time.
+    showEvolutionNotice(key, params = null, rule = this.activeRule) {
+        if (this.replaying || !document.getElementById('evolutionNotice')) return;
+        if (this.heldEffects) {
+            this.heldEffects.push(() => this.showEvolutionNotice(key, params, rule));
+            return;
+        }
+
+        this.noticeQueue.push({ key, params, rule });
+        if (!this.currentNotice && this.noticeQueue.length === 1) {
+            this.showNextNotice();
+        }
+    }
+
+    showNextNotice() {
         const notice = document.getElementById('evolutionNotice');
-        if (notice) {
-            const noticeText = notice.querySelector('.notice-text span');
-            if (noticeText) {
-                noticeText.textContent = message;
-            }
-            
-            notice.classList.add('show');
-            
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                this.hideEvolutionNotice();
-            }, 5000);
+        const next = this.noticeQueue.shift();
+        if (!notice || !next) return;
+
+        this.currentNotice = next;
+        const noticeText = notice.querySelector('.notice-text span');
+        if (noticeText) {
+            this.setMessage(noticeText, next.key, next.params);
+        }
+        this.accessibility.announce(this.i18n.t(next.key, next.params || {}));
+
+        // Remember which evolution is announced so the Undo control can revert it
+        notice.dataset.rule = next.rule || '';
+        const undoButton = notice.querySelector('.notice-undo');
+        if (undoButton) {
+            undoButton.hidden = !next.rule;
         }
+
+        notice.classList.add('show');
+
+        this.clock.clearTimeout(this.noticeTimer);
+        this.noticeTimer = this.clock.setTimeout(() => {
+            this.hideEvolutionNotice();
+        }, EvolutionEngine.NOTICE_TIMING.duration);
     }
 
+    // Hide the current notice and bring up the next queued one, if any
     hideEvolutionNotice() {
         const notice = document.getElementById('evolutionNotice');
         if (notice) {
             notice.classList.remove('show');
         }
+        this.currentNotice = null;
+
+        this.clock.clearTimeout(this.noticeTimer);
+        this.noticeTimer = this.noticeQueue.length > 0
+            ? this.clock.setTimeout(() => this.showNextNotice(), EvolutionEngine.NOTICE_TIMING.gap)
+            : null;
+    }
+
+    // Forget the notices of an evolution that is no longer on the page
+    dropNotices(rule) {
+        this.noticeQueue = this.noticeQueue.filter(entry => entry.rule !== rule);
+        if (this.currentNotice && this.currentNotice.rule === rule) {
+            this.hideEvolutionNotice();
+        }
+    }
+
+    clearNotices() {
+        this.noticeQueue = [];
+        if (this.currentNotice) {
+            this.hideEvolutionNotice();
+        }
     }
 
-    logEvolution(description) {
+    logEvolution(description, { type = 'applied', rule = this.activeRule } = {}) {
+        if (this.replaying || !this.canEvolve()) return;
+        if (this.heldEffects) {
+            this.heldEffects.push(() => this.logEvolution(description, { type, rule }));
+            return;
+        }
+
+        // Snapshot the counters only; the raw interaction log and sessions stay with the tracker
+        const { interactions, sessions, ...snapshot } = this.tracker.getData();
         const evolutionEvent = {
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
+            type,
+            rule,
             description: description,
-            data: JSON.parse(JSON.stringify(this.tracker.getData())),
+            data: JSON.parse(JSON.stringify(snapshot)),
+            segments: this.tracker.getSegments(),
             engagementScore: this.tracker.getEngagementScore()
         };
         
@@ -432,43 +1443,71 @@ class EvolutionEngine {
     }
 
     saveEvolutionHistory() {
-        try {
-            localStorage.setItem('evolutionHistory', JSON.stringify(this.evolutionHistory));
-        } catch (e) {
-            console.warn('Could not save evolution history:', e);
-        }
+        this.storage.write('evolutionHistory', this.evolutionHistory);
     }
 
     loadEvolutionHistory() {
-        try {
-            const saved = localStorage.getItem('evolutionHistory');
-            return saved ? JSON.parse(saved) : [];
-        } catch (e) {
-            console.warn('Could not load evolution history:', e);
-            return [];
-        }
+        return this.storage.read('evolutionHistory') || [];
+    }
+
+    // Applied evolutions and cooldowns survive reloads so returning visitors see a stable layout
+    saveEvolvedState() {
+        if (!this.canEvolve()) return;
+
+        const state = {
+            applied: Array.from(this.currentEvolutions),
+            rejected: Array.from(this.rejectedEvolutions),
+            lastAppliedTimes: Object.fromEntries(this.lastAppliedTimes),
+            budget: this.budget
+        };
+
+        this.storage.write('evolvedState', state);
+    }
+
+    loadEvolvedState() {
+        return this.storage.read('evolvedState');
+    }
+
+    restoreEvolvedState() {
+        const state = (this.canEvolve() && this.loadEvolvedState()) || {};
+        this.currentEvolutions = new Set(state.applied || []);
+        this.rejectedEvolutions = new Set(state.rejected || []);
+        this.lastAppliedTimes = new Map(Object.entries(state.lastAppliedTimes || {}));
+        this.budget = state.budget || { session: null, spent: 0 };
+    }
+
+    resetEvolvedState() {
+        this.theme.clearLayers();
+        this.currentEvolutions = new Set();
+        this.rejectedEvolutions = new Set();
+        this.inverses = new Map();
+        this.lastAppliedTimes = new Map();
+        this.budget = { session: null, spent: 0 };
+        this.storage.remove('evolvedState');
     }
 
     getEvolutionHistory() {
         return this.evolutionHistory;
     }
 
-    // Analytics method to get evolution insights
+    // Analytics method to get evolution insights. Only counts evolutions that went on the page:
+    // the history also logs refusals and undos (entries from before types were all applied).
     getEvolutionInsights() {
+        const applied = this.evolutionHistory.filter(event => !event.type || event.type === 'applied');
         const popularEvolutions = {};
-        this.evolutionHistory.forEach(event => {
+        applied.forEach(event => {
             popularEvolutions[event.description] = (popularEvolutions[event.description] || 0) + 1;
         });
         
         return {
-            totalEvolutions: this.evolutionHistory.length,
+            totalEvolutions: applied.length,
             popularEvolutions: popularEvolutions,
-            averageEngagementScore: this.evolutionHistory.reduce((sum, event) => 
-                sum + event.engagementScore, 0) / this.evolutionHistory.length
+            averageEngagementScore: applied.length === 0 ? 0 :
+                applied.reduce((sum, event) => sum + event.engagementScore, 0) / applied.length
         };
     }
 }
 
-// Initialize lastAppliedTimes map
-EvolutionEngine.prototype.lastAppliedTimes = new Map();
-EvolutionEngine.prototype.currentEvolutions = new Set();
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EvolutionEngine, EvolutionRefusedError, evolutionEnginePlugins };
+}
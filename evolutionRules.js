@@ -0,0 +1,215 @@
+// Evolution Rule Definitions
+// Tune thresholds, cooldowns and action parameters here without touching evolutionEngine.js.
+//
+// Rule fields:
+//   name      - unique rule id
+//   when      - condition expression (see below)
+//   action    - { name: <registered action>, params: { ... } }
+//   cooldown  - milliseconds before the rule may fire again
+//   dependsOn - optional extra data paths to watch, e.g. ['projects'] for a plugin condition;
+//               rules are re-checked only when data their condition reads (or these) changes
+//   priority  - optional number, default 0; when several rules qualify at once the higher goes first
+//   excludes  - optional rule names that must never be on the page at the same time as this one
+//   targets   - optional selectors of the elements the rule changes, replacing its action's own
+//               (each built-in action declares what it touches)
+//   experiment - optional A/B test: { variants: [...], goals: [...] }
+//               Each variant is { name, params?, weight?, control? }; variant params are merged
+//               over the action params and a control variant applies nothing. Goals are the
+//               outcomes credited to the variant: contact_submit, project_cta, cta_click.
+//
+// Condition expressions:
+//   { all: [expr, ...] }            every expression passes
+//   { any: [expr, ...] }            at least one expression passes
+//   { not: expr }                   expression fails
+//   { segment: 'recruiter' }        visitor is in the segment (see visitorSegments.js):
+//                                   recruiter, developer, returning, mobile, referral or
+//                                   referral:<source>, e.g. referral:linkedin
+//   { metric, op, value }           comparison, op is one of > >= < <= == !=
+//   { condition: name, params }     a named condition registered by a plugin (see the top of
+//                                   evolutionEngine.js), with its own params
+//
+// Rules conflict when one excludes the other or their targets overlap. A rule waits while a
+// conflicting evolution is on the page; an evolution already applied is never displaced, so
+// priority decides who gets there first.
+//
+// Optional top-level "budget" block caps the visible changes a visitor sees per session:
+//   { perSession }   evolutions applied in one session; without it there is no cap
+// Higher priority rules get the budget first. Evolutions replayed on reload don't spend it.
+// Their notices queue up and show one at a time.
+//
+// Optional top-level "bandit" block switches from firing every qualifying rule to picking one
+// qualifying evolution at a time and learning which ones lift engagement and conversions:
+//   { enabled, strategy: 'thompson' | 'epsilon-greedy', epsilon, rewardWindow, engagementScale }
+//
+// A metric is a dotted path into the tracker data (e.g. 'clicks.projects',
+// 'timeOnSections.about', 'visitCount') or a computed metric ('engagementScore',
+// 'topProjectScore' - the best project's weighted clicks, CTA opens, hover and view time).
+// A value is a literal or another metric: { metric: 'clicks.about', offset: 2 }.
+// Counters are all-time totals; prefix them with 'session.' for this session or 'last7Days.'
+// for recent sessions (e.g. 'session.clicks.projects', 'last7Days.timeOnSections.about').
+// Both windows also have 'sessions', 'duration' (ms) and 'interactions'. 'visitCount' counts
+// sessions, which end after 30 minutes without activity.
+// 'acquisition.source' holds where the visitor last came from ('linkedin', 'search', ...).
+//
+// To give an audience its own version of an evolution, add a rule for that segment and exclude
+// the segment from the general rule with { not: { segment: ... } }.
+//
+// Actions can point at entries in content.json by id, e.g. revealAdditionalContent takes
+// { block: '<blocks id>' } and highlightPopularProject takes { project: '<projects id>' }.
+// Text params (CTA labels, greetings) are message keys from locales/<locale>.json; text that
+// isn't a known key is shown as written.
+//
+// Evolutions that would hurt accessibility are refused at runtime: optimizeCTA colors must keep
+// white button text at 4.5:1 (7:1 when the visitor prefers more contrast), and no action may
+// introduce positive tabindex values or visual reordering that breaks keyboard order.
+const evolutionRulesConfig = {
+    version: 1,
+    budget: {
+        perSession: 4
+    },
+    bandit: {
+        enabled: false,
+        strategy: 'thompson',
+        epsilon: 0.1,
+        rewardWindow: 60000,
+        engagementScale: 25
+    },
+    rules: [
+        {
+            name: 'projects_priority',
+            when: {
+                any: [
+                    { segment: 'developer' },
+                    {
+                        all: [
+                            { metric: 'clicks.projects', op: '>', value: { metric: 'clicks.about', offset: 2 } },
+                            { metric: 'timeOnSections.projects', op: '>', value: { metric: 'timeOnSections.about' } }
+                        ]
+                    }
+                ]
+            },
+            action: { name: 'moveProjectsUp' },
+            priority: 1,
+            cooldown: 30000 // 30 seconds
+        },
+        {
+            name: 'cta_optimization',
+            when: {
+                all: [
+                    { not: { segment: 'recruiter' } },
+                    {
+                        any: [
+                            { metric: 'clicks.cta', op: '>', value: 3 },
+                            { metric: 'clicks.contact', op: '>', value: 5 }
+                        ]
+                    }
+                ]
+            },
+            action: {
+                name: 'optimizeCTA',
+                params: {
+                    primary: '#047857',
+                    primaryDark: '#065f46',
+                    contactLabel: 'cta.buildTogether',
+                    exploreLabel: 'cta.seeMyWork',
+                    submitLabel: 'cta.sendNow'
+                }
+            },
+            experiment: {
+                variants: [
+                    { name: 'control', control: true },
+                    { name: 'build-together' },
+                    {
+                        name: 'start-project',
+                        params: {
+                            contactLabel: 'cta.startProject',
+                            exploreLabel: 'cta.viewCaseStudies',
+                            submitLabel: 'cta.startConversation'
+                        }
+                    }
+                ],
+                goals: ['contact_submit', 'project_cta']
+            },
+            priority: 2,
+            cooldown: 45000
+        },
+        {
+            // Recruiters head straight for contact, so speak to hiring rather than projects
+            name: 'recruiter_cta',
+            when: { segment: 'recruiter' },
+            action: {
+                name: 'optimizeCTA',
+                params: {
+                    primary: '#047857',
+                    primaryDark: '#065f46',
+                    contactLabel: 'cta.discussRole',
+                    exploreLabel: 'cta.seeHighlights',
+                    submitLabel: 'cta.sendNow'
+                }
+            },
+            priority: 2,
+            // One CTA voice at a time, even if the segments ever overlap
+            excludes: ['cta_optimization'],
+            cooldown: 45000
+        },
+        {
+            name: 'dark_theme_default',
+            when: {
+                all: [
+                    { metric: 'clicks.themeToggle', op: '>', value: 1 },
+                    { metric: 'themePreference', op: '==', value: 'dark' }
+                ]
+            },
+            action: { name: 'setDarkThemeDefault' },
+            cooldown: 60000
+        },
+        {
+            name: 'project_highlight',
+            when: { metric: 'clicks.projects', op: '>', value: 8 },
+            action: { name: 'highlightPopularProject' },
+            cooldown: 25000
+        },
+        {
+            name: 'project_ranking',
+            when: { metric: 'topProjectScore', op: '>=', value: 15 },
+            action: { name: 'reorderProjects' },
+            priority: 1,
+            cooldown: 30000
+        },
+        {
+            name: 'contact_personalization',
+            when: { metric: 'topProjectScore', op: '>=', value: 6 },
+            action: { name: 'personalizeContactForm' },
+            priority: 2,
+            cooldown: 30000
+        },
+        {
+            name: 'content_reveal',
+            when: { metric: 'session.scrollDepth', op: '>', value: 70 },
+            action: { name: 'revealAdditionalContent', params: { block: 'process-insights' } },
+            cooldown: 30000
+        },
+        {
+            name: 'engagement_reward',
+            when: { metric: 'engagementScore', op: '>', value: 50 },
+            action: { name: 'showEngagementReward', params: { duration: 5000 } },
+            cooldown: 60000
+        },
+        {
+            name: 'personalized_greeting',
+            when: { metric: 'visitCount', op: '>', value: 2 },
+            action: { name: 'personalizeGreeting', params: { text: 'greeting.welcomeBack' } },
+            cooldown: 0 // No cooldown
+        },
+        {
+            name: 'interactive_boost',
+            when: { metric: 'clicks.projects', op: '>', value: 15 },
+            action: { name: 'enhanceInteractivity' },
+            cooldown: 40000
+        }
+    ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { evolutionRulesConfig };
+}
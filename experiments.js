@@ -0,0 +1,219 @@
+// Experiment Module
+// Splits visitors between variants of an evolution rule and attributes conversions to them.
+class ExperimentManager {
+    constructor(storage, clock = systemClock) {
+        this.storage = storage;
+        this.clock = clock;
+        this.state = this.loadState() || this.getDefaultState();
+        if (!this.state.visitorId) {
+            // Only written to storage once the visitor is actually assigned to a variant
+            this.state.visitorId = this.createVisitorId();
+        }
+    }
+
+    // Outcomes that rule experiments may list as goals
+    static get GOALS() {
+        return ['contact_submit', 'project_cta', 'cta_click'];
+    }
+
+    getDefaultState() {
+        return {
+            visitorId: null,
+            assignments: {},
+            records: []
+        };
+    }
+
+    createVisitorId() {
+        return `v-${this.clock.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // FNV-1a, mapped to [0, 1) so the same visitor always lands in the same bucket
+    hash(input) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 0x100000000;
+    }
+
+    assign(experiment, variants) {
+        const saved = this.state.assignments[experiment];
+        const existing = variants.find(variant => variant.name === saved);
+        if (existing) {
+            return existing;
+        }
+
+        const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let point = this.hash(`${this.state.visitorId}:${experiment}`) * totalWeight;
+        const variant = variants.find(candidate => {
+            point -= candidate.weight;
+            return point < 0;
+        }) || variants[variants.length - 1];
+
+        this.state.assignments[experiment] = variant.name;
+        this.saveState();
+        return variant;
+    }
+
+    getAssignment(experiment) {
+        return this.state.assignments[experiment] || null;
+    }
+
+    // control marks the variant the others are compared against in the report
+    recordExposure(experiment, variant, goals, { control = false } = {}) {
+        if (this.findRecord(experiment)) {
+            return;
+        }
+
+        this.state.records.push({
+            visitorId: this.state.visitorId,
+            experiment,
+            variant,
+            control,
+            goals,
+            exposedAt: this.clock.now(),
+            conversions: {}
+        });
+        this.saveState();
+    }
+
+    // Credit a goal to every experiment this visitor has already been exposed to
+    recordConversion(goal) {
+        let changed = false;
+        this.state.records.forEach(record => {
+            if (record.visitorId === this.state.visitorId &&
+                record.goals.includes(goal) &&
+                !record.conversions[goal]) {
+                record.conversions[goal] = this.clock.now();
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveState();
+        }
+    }
+
+    findRecord(experiment) {
+        return this.state.records.find(record =>
+            record.visitorId === this.state.visitorId && record.experiment === experiment);
+    }
+
+    // Start over as a new visitor, keeping recorded results (handy when testing locally)
+    resetVisitor() {
+        this.state.visitorId = this.createVisitorId();
+        this.state.assignments = {};
+        this.saveState();
+    }
+
+    clear() {
+        this.state = { ...this.getDefaultState(), visitorId: this.createVisitorId() };
+        this.storage.remove('portfolioExperiments');
+    }
+
+    getRecords() {
+        return this.state.records;
+    }
+
+    getReport() {
+        return ExperimentManager.buildReport(this.state.records);
+    }
+
+    printReport() {
+        const report = this.getReport();
+        Object.entries(report).forEach(([experiment, result]) => {
+            console.log(`Experiment: ${experiment} (baseline: ${result.baseline || 'none'})`);
+            console.table(result.variants);
+        });
+        return report;
+    }
+
+    // Conversion per variant, each compared to the control with a two-proportion z-test
+    static buildReport(records) {
+        const experiments = {};
+        const controls = {};
+        records.forEach(record => {
+            if (record.control) {
+                controls[record.experiment] = record.variant;
+            }
+            const experiment = experiments[record.experiment] || (experiments[record.experiment] = {});
+            const variant = experiment[record.variant] || (experiment[record.variant] = { exposures: 0, conversions: 0 });
+            variant.exposures++;
+            if (Object.keys(record.conversions || {}).length > 0) {
+                variant.conversions++;
+            }
+        });
+
+        const report = {};
+        Object.entries(experiments).forEach(([name, variants]) => {
+            // Records from before the control flag was kept only have the conventional name to go on
+            const baseline = controls[name] || (variants.control ? 'control' : null);
+            const base = baseline ? variants[baseline] : null;
+
+            report[name] = {
+                baseline,
+                variants: Object.entries(variants).map(([variant, counts]) => {
+                    const rate = counts.exposures ? counts.conversions / counts.exposures : 0;
+                    const row = {
+                        variant,
+                        exposures: counts.exposures,
+                        conversions: counts.conversions,
+                        conversionRate: Math.round(rate * 10000) / 100
+                    };
+
+                    if (base && variant !== baseline) {
+                        const { z, pValue } = ExperimentManager.zTest(base, counts);
+                        row.zScore = Math.round(z * 100) / 100;
+                        row.pValue = Math.round(pValue * 1000) / 1000;
+                        row.significant = pValue < 0.05;
+                    }
+
+                    return row;
+                })
+            };
+        });
+
+        return report;
+    }
+
+    static zTest(a, b) {
+        if (!a.exposures || !b.exposures) {
+            return { z: 0, pValue: 1 };
+        }
+
+        const p1 = a.conversions / a.exposures;
+        const p2 = b.conversions / b.exposures;
+        const pooled = (a.conversions + b.conversions) / (a.exposures + b.exposures);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.exposures + 1 / b.exposures));
+        if (!standardError) {
+            return { z: 0, pValue: 1 };
+        }
+
+        const z = (p2 - p1) / standardError;
+        const pValue = 2 * (1 - ExperimentManager.normalCdf(Math.abs(z)));
+        return { z, pValue };
+    }
+
+    // Abramowitz-Stegun approximation of the standard normal CDF
+    static normalCdf(x) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(x));
+        const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+        const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 +
+            t * (-1.821255978 + t * 1.330274429))));
+        return x >= 0 ? 1 - tail : tail;
+    }
+
+    saveState() {
+        this.storage.write('portfolioExperiments', this.state);
+    }
+
+    loadState() {
+        return this.storage.read('portfolioExperiments');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExperimentManager };
+}
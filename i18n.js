@@ -0,0 +1,193 @@
+// Internationalization Module
+// Message catalogs live in locales/<locale>.json as flat key -> message maps. A message may
+// use {name} placeholders and, for counts, be an object of plural forms keyed by
+// Intl.PluralRules categories ({ "one": "...", "other": "..." }). Static markup is translated
+// through data-i18n="key" (text) and data-i18n-attr="attribute:key;..." (attributes), with
+// optional JSON params in data-i18n-params. Point the page at other catalogs with
+// <html data-locales="path/to/locales/">.
+class I18n {
+    // catalogs: messages already at hand by locale ({ en: {...} }), which are then not fetched
+    constructor({ storage, baseUrl = 'locales/', fallbackLocale = 'en', locales = I18n.LOCALES, catalogs = {} } = {}) {
+        this.storage = storage;
+        this.baseUrl = baseUrl;
+        this.fallbackLocale = fallbackLocale;
+        this.locales = locales;
+        this.catalogs = { ...catalogs };
+        this.locale = fallbackLocale;
+        this.pluralRules = new Intl.PluralRules(fallbackLocale);
+        this.listeners = [];
+        this.missing = new Set();
+        this.ready = this.storage.ready.then(() => this.setLocale(this.detectLocale(), { persist: false }));
+    }
+
+    static get LOCALES() {
+        return {
+            en: { name: 'English', dir: 'ltr' },
+            es: { name: 'Español', dir: 'ltr' },
+            ar: { name: 'العربية', dir: 'rtl' }
+        };
+    }
+
+    // A locale the visitor picked wins; otherwise the browser's list, best match first
+    detectLocale() {
+        const stored = this.storage.read('portfolioLocale');
+        if (stored && this.locales[stored]) {
+            return stored;
+        }
+
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+        for (const tag of preferred) {
+            const locale = this.matchLocale(tag);
+            if (locale) return locale;
+        }
+        return this.fallbackLocale;
+    }
+
+    // 'es-MX' matches 'es-MX' first, then 'es'
+    matchLocale(tag) {
+        if (!tag) return null;
+
+        const normalized = String(tag).toLowerCase();
+        const supported = Object.keys(this.locales);
+        return supported.find(locale => locale.toLowerCase() === normalized) ||
+            supported.find(locale => locale.toLowerCase() === normalized.split('-')[0]) ||
+            null;
+    }
+
+    async loadCatalog(locale) {
+        if (this.catalogs[locale]) {
+            return this.catalogs[locale];
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`${locale}.json responded with ${response.status}`);
+            }
+            this.catalogs[locale] = await response.json();
+        } catch (e) {
+            console.warn(`Could not load the "${locale}" messages:`, e);
+            this.catalogs[locale] = {};
+        }
+        return this.catalogs[locale];
+    }
+
+    async setLocale(locale, { persist = true } = {}) {
+        if (!this.locales[locale]) {
+            console.warn(`Unsupported locale "${locale}".`);
+            return;
+        }
+
+        await Promise.all([this.loadCatalog(this.fallbackLocale), this.loadCatalog(locale)]);
+        const previous = this.locale;
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        if (persist) {
+            this.storage.write('portfolioLocale', locale);
+        }
+
+        this.apply();
+        this.listeners.forEach(listener => {
+            try {
+                listener(locale, previous);
+            } catch (e) {
+                console.warn('Locale listener failed:', e);
+            }
+        });
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    getDirection() {
+        return this.locales[this.locale].dir;
+    }
+
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    lookup(key) {
+        const catalog = this.catalogs[this.locale] || {};
+        const fallback = this.catalogs[this.fallbackLocale] || {};
+        return catalog[key] !== undefined ? catalog[key] : fallback[key];
+    }
+
+    // Unknown keys come back as-is, so plain text passed where a key is expected still shows
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            if (/^[\w-]+(\.[\w-]+)+$/.test(key) && !this.missing.has(key)) {
+                this.missing.add(key);
+                console.warn(`Missing message "${key}".`);
+            }
+            return this.interpolate(key, params);
+        }
+
+        if (typeof message === 'object') {
+            const count = Number(params.count) || 0;
+            message = message[this.pluralRules.select(count)] || message.other || '';
+        }
+        return this.interpolate(message, params);
+    }
+
+    interpolate(message, params) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined) return match;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    // ['A', 'B', 'C'] -> 'A, B and C' in the current language
+    formatList(items) {
+        if (typeof Intl.ListFormat === 'function') {
+            return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items);
+        }
+        return items.join(', ');
+    }
+
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.getDirection();
+        this.translate(root);
+    }
+
+    translate(root = document) {
+        const params = element => {
+            try {
+                return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            } catch (e) {
+                console.warn('Invalid data-i18n-params:', element);
+                return {};
+            }
+        };
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, params(element));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key, params(element)));
+                }
+            });
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n };
+}
@@ -1,61 +1,223 @@
 // Enhanced Interaction Tracking Module
 class InteractionTracker {
-    constructor() {
-        this.data = this.loadData() || {
-            clicks: {
-                projects: 0,
-                contact: 0,
-                about: 0,
-                themeToggle: 0,
-                social: 0,
-                cta: 0,
-                navigation: 0
-            },
-            scrollDepth: 0,
-            timeOnSections: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            themePreference: 'light',
-            lastVisit: null,
-            visitCount: 0,
-            sectionViews: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            interactions: []
-        };
+    constructor(consent, storage, beacon = null, segments = new VisitorSegments(), clock = systemClock) {
+        this.consent = consent;
+        this.storage = storage;
+        this.beacon = beacon;
+        this.segments = segments;
+        this.clock = clock;
+        this.registerSchema();
+        this.data = (this.isTracking() && this.loadData()) || this.getDefaultData();
         
         this.currentSection = 'home';
-        this.sectionStartTime = Date.now();
-        this.maxScrollDepth = 0;
+        this.sectionStartTime = this.clock.now();
+        this.pageStartTime = this.clock.now();
+        this.contactReached = false;
+        this.session = null;
+        this.hiddenAt = document.visibilityState === 'hidden' ? this.clock.now() : null;
+        this.projectHoverStarts = new Map();
+        this.projectViewStarts = new Map();
+        this.dirty = false;
+        this.saveTimeout = null;
+        this.scrollTimeout = null;
+        this.autosaveTimer = null;
+        this.changeListeners = [];
+        this.unsubscribers = [];
+        this.destroyed = false;
         this.init();
     }
 
+    // Bump the version and add a migration whenever the shape of this.data changes
+    registerSchema() {
+        this.storage.registerSchema('portfolioInteractionData', {
+            version: 5,
+            migrations: {
+                1: (data) => this.mergeWithDefaults(data),
+                2: (data) => this.migrateClickPositions(data),
+                3: (data) => this.mergeWithDefaults(data),
+                4: (data) => this.mergeWithDefaults(data),
+                5: (data) => this.migrateLastVisit(this.mergeWithDefaults(data))
+            },
+            compact: (data) => this.compactData(data)
+        });
+    }
+
+    // Fill in fields that older saved data doesn't have yet
+    mergeWithDefaults(data) {
+        const defaults = this.getDefaultData();
+        Object.keys(defaults).forEach(key => {
+            const value = defaults[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                data[key] = { ...value, ...(data[key] || {}) };
+            } else if (data[key] === undefined) {
+                data[key] = value;
+            }
+        });
+        return data;
+    }
+
+    // Version 1 stored viewport coordinates, which can't be placed back on the page once it
+    // has scrolled; keep them under clientPosition so the heatmap only plots mappable clicks
+    migrateClickPositions(data) {
+        data.interactions = (data.interactions || []).map(interaction => {
+            if (interaction.type !== 'click' || !interaction.position || interaction.viewport) {
+                return interaction;
+            }
+            const { position, ...rest } = interaction;
+            return { ...rest, clientPosition: position };
+        });
+        return data;
+    }
+
+    // Version 4 stored the day of the last visit as a date string; sessions need the time
+    migrateLastVisit(data) {
+        if (typeof data.lastVisit === 'string') {
+            data.lastVisit = Date.parse(data.lastVisit) || null;
+        }
+        return data;
+    }
+
+    // Drop the oldest half of the interaction log and session history; the counters and the
+    // current session are always kept
+    compactData(data) {
+        const interactions = data.interactions || [];
+        const sessions = data.sessions || [];
+        if (interactions.length === 0 && sessions.length <= 1) {
+            return null;
+        }
+
+        const compacted = {
+            interactions: interactions.slice(Math.ceil(interactions.length / 2)),
+            sessions: sessions.slice(Math.floor(sessions.length / 2))
+        };
+        if (data === this.data) {
+            Object.assign(this.data, compacted);
+            this.notifyChange('sessions', 'last7Days');
+            return this.data;
+        }
+        return { ...data, ...compacted };
+    }
+
+    // A session ends after this long without any activity, or when the tab comes back from the
+    // background after it; history older than the retention window is dropped
+    static get SESSION() {
+        return {
+            idleTimeout: 30 * 60 * 1000,
+            retentionDays: 30,
+            maxSessions: 100
+        };
+    }
+
+    // Counters also kept per session; changing one changes the session and recent-window totals
+    static get WINDOWED_FIELDS() {
+        return ['clicks', 'timeOnSections', 'sectionViews', 'scrollDepth', 'interactions'];
+    }
+
     init() {
         this.setupScrollTracking();
         this.setupSectionTracking();
-        this.incrementVisitCount();
+        this.setupProjectTracking();
+        this.setupVisibilityTracking();
+        this.resumeSession();
+        this.recordAcquisition();
         this.setupInteractionTracking();
+        this.unsubscribers.push(this.consent.onChange((choices, previous) => this.handleConsentChange(choices, previous)));
+    }
+
+    // Adds a DOM listener that destroy() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.unsubscribers.push(() => target.removeEventListener(type, handler));
+    }
+
+    // Stop tracking for good: save what is pending, then let go of timers, observers and listeners
+    destroy() {
+        if (this.destroyed) return;
+
+        if (this.dirty) this.saveData();
+        this.clock.clearInterval(this.autosaveTimer);
+        this.clock.clearTimeout(this.saveTimeout);
+        this.clock.clearTimeout(this.scrollTimeout);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.changeListeners = [];
+        this.destroyed = true;
+    }
+
+    // Recording only happens while the visitor has opted in to analytics
+    isTracking() {
+        return this.consent.isGranted('analytics');
+    }
+
+    handleConsentChange(choices, previous) {
+        if (choices.analytics && !previous.analytics) {
+            this.sectionStartTime = this.clock.now();
+            this.resumeSession();
+            this.recordAcquisition();
+        } else if (!choices.analytics && previous.analytics) {
+            this.clearStoredData();
+        }
+    }
+
+    // Forget everything recorded about the visitor, in memory and in storage
+    clearStoredData() {
+        this.data = this.getDefaultData();
+        this.session = null;
+        this.dirty = false;
+        this.clock.clearTimeout(this.saveTimeout);
+        this.storage.remove('portfolioInteractionData');
+        this.notifyChange('*');
+    }
+
+    // Listeners get the dotted data paths that changed, e.g. ['clicks.projects',
+    // 'session.clicks.projects', ...], or ['*'] when everything may have; returns an unsubscribe
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    notifyChange(...paths) {
+        if (this.changeListeners.length === 0) return;
+
+        const changed = [];
+        paths.forEach(path => {
+            changed.push(path);
+            if (InteractionTracker.WINDOWED_FIELDS.includes(path.split('.')[0])) {
+                changed.push(`session.${path}`, `last7Days.${path}`);
+            }
+        });
+
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(changed);
+            } catch (e) {
+                console.warn('Tracker change listener failed:', e);
+            }
+        });
     }
 
     setupScrollTracking() {
-        let scrollTimeout;
-        window.addEventListener('scroll', () => {
-            const scrollDepth = (window.scrollY + window.innerHeight) / document.body.scrollHeight;
-            if (scrollDepth > this.maxScrollDepth) {
-                this.maxScrollDepth = scrollDepth;
-                this.data.scrollDepth = Math.round(this.maxScrollDepth * 100);
+        this.listen(window, 'scroll', () => {
+            if (!this.isTracking()) return;
+
+            const scrollDepth = Math.round((window.scrollY + window.innerHeight) / document.body.scrollHeight * 100);
+            if (this.session && scrollDepth > this.session.scrollDepth) {
+                this.session.scrollDepth = scrollDepth;
+                this.dirty = true;
+                this.notifyChange('session.scrollDepth', 'last7Days.scrollDepth');
+            }
+            if (scrollDepth > this.data.scrollDepth) {
+                this.data.scrollDepth = scrollDepth;
+                this.dirty = true;
+                this.notifyChange('scrollDepth');
             }
             
             // Track scroll interactions
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(() => {
-                this.trackInteraction('scroll', { depth: this.data.scrollDepth });
+            this.clock.clearTimeout(this.scrollTimeout);
+            this.scrollTimeout = this.clock.setTimeout(() => {
+                this.trackInteraction('scroll', { depth: scrollDepth });
             }, 500);
         });
     }
@@ -67,8 +229,11 @@ class InteractionTracker {
                 if (entry.isIntersecting) {
                     this.updateSectionTime();
                     this.currentSection = entry.target.id;
-                    this.sectionStartTime = Date.now();
+                    this.sectionStartTime = this.clock.now();
                     this.trackSectionView(this.currentSection);
+                    if (this.currentSection === 'contact') {
+                        this.trackContactReached();
+                    }
                 }
             });
         }, { threshold: 0.5 });
@@ -76,78 +241,341 @@ class InteractionTracker {
         sections.forEach(section => {
             observer.observe(section);
         });
+        this.unsubscribers.push(() => observer.disconnect());
+
+        // Auto-save every 30 seconds, only when something changed
+        this.autosaveTimer = this.clock.setInterval(() => {
+            if (this.dirty) this.saveData();
+        }, 30000);
+    }
+
+    // Save data when the page is hidden; unlike beforeunload this also fires on mobile tab
+    // switches and doesn't block the back/forward cache. Time in the background isn't counted.
+    setupVisibilityTracking() {
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.updateSectionTime();
+                this.flushProjectTimers();
+                this.hiddenAt = this.clock.now();
+                this.saveData();
+            } else {
+                this.handleVisible();
+            }
+        });
+    }
+
+    handleVisible() {
+        const now = this.clock.now();
+        this.hiddenAt = null;
+        this.sectionStartTime = now;
+        [this.projectHoverStarts, this.projectViewStarts].forEach(starts => {
+            starts.forEach((start, project) => starts.set(project, now));
+        });
+
+        if (this.session && now - this.session.lastActivity >= InteractionTracker.SESSION.idleTimeout) {
+            this.startSession(now);
+        }
+    }
+
+    // Continue the last session if it is still fresh (a reload, another tab), else start one
+    resumeSession(now = this.clock.now()) {
+        if (!this.isTracking()) return;
+
+        this.pruneHistory(now);
+        const last = this.data.sessions[this.data.sessions.length - 1];
+        if (last && now - last.lastActivity < InteractionTracker.SESSION.idleTimeout) {
+            this.session = last;
+            last.lastActivity = now;
+            this.dirty = true;
+        } else {
+            this.startSession(now);
+        }
+    }
+
+    startSession(now = this.clock.now()) {
+        if (!this.isTracking()) return;
+
+        const defaults = this.getDefaultData();
+        this.session = {
+            id: `s-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            start: now,
+            lastActivity: now,
+            clicks: defaults.clicks,
+            timeOnSections: defaults.timeOnSections,
+            sectionViews: defaults.sectionViews,
+            scrollDepth: 0,
+            interactions: 0
+        };
+        this.data.sessions.push(this.session);
+        this.data.sessions = this.data.sessions.slice(-InteractionTracker.SESSION.maxSessions);
+        this.data.visitCount++;
+        this.data.lastVisit = now;
+        this.notifyChange('visitCount', 'lastVisit', 'sessions', 'session', 'last7Days');
+        this.trackInteraction('visit');
+        this.saveData();
+    }
+
+    // Any tracked activity keeps the session alive; after a long pause it starts a new one
+    touchSession(now = this.clock.now()) {
+        if (!this.session) return;
 
-        // Save data when leaving the page
-        window.addEventListener('beforeunload', () => {
-            this.updateSectionTime();
-            this.saveData();
+        if (now - this.session.lastActivity >= InteractionTracker.SESSION.idleTimeout) {
+            this.updateSectionTime(now);
+            this.startSession(now);
+        }
+        this.session.lastActivity = now;
+        this.notifyChange('session.duration', 'last7Days.duration');
+    }
+
+    pruneHistory(now = this.clock.now()) {
+        const cutoff = now - InteractionTracker.SESSION.retentionDays * 24 * 60 * 60 * 1000;
+        const sessions = this.data.sessions.length;
+        this.data.sessions = this.data.sessions.filter(session => session.lastActivity >= cutoff);
+        this.data.interactions = this.data.interactions.filter(interaction => interaction.timestamp >= cutoff);
+        if (this.data.sessions.length !== sessions) {
+            this.notifyChange('sessions', 'last7Days');
+        }
+    }
+
+    // Hover dwell and time in viewport per card, keyed by data-project
+    setupProjectTracking() {
+        const cards = document.querySelectorAll('.project-card[data-project]');
+
+        cards.forEach(card => {
+            const project = card.dataset.project;
+            this.listen(card, 'mouseenter', () => this.projectHoverStarts.set(project, this.clock.now()));
+            this.listen(card, 'mouseleave', () => this.stopProjectTimer(this.projectHoverStarts, project, 'hoverTime'));
         });
 
-        // Auto-save every 30 seconds
-        setInterval(() => this.saveData(), 30000);
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const project = entry.target.dataset.project;
+                if (entry.isIntersecting) {
+                    this.projectViewStarts.set(project, this.clock.now());
+                } else {
+                    this.stopProjectTimer(this.projectViewStarts, project, 'viewTime');
+                }
+            });
+        }, { threshold: 0.5 });
+
+        cards.forEach(card => observer.observe(card));
+        this.unsubscribers.push(() => observer.disconnect());
+    }
+
+    stopProjectTimer(starts, project, stat) {
+        if (!starts.has(project)) return;
+
+        this.addProjectStat(project, stat, this.clock.now() - starts.get(project));
+        starts.delete(project);
+    }
+
+    // Bank the running timers without stopping them, e.g. before the page is hidden
+    flushProjectTimers() {
+        const now = this.clock.now();
+        [[this.projectHoverStarts, 'hoverTime'], [this.projectViewStarts, 'viewTime']].forEach(([starts, stat]) => {
+            starts.forEach((start, project) => {
+                this.addProjectStat(project, stat, now - start);
+                starts.set(project, now);
+            });
+        });
+    }
+
+    addProjectStat(project, stat, amount = 1) {
+        if (!this.isTracking() || !project) return;
+
+        if (!this.data.projects[project]) {
+            this.data.projects[project] = { clicks: 0, ctaOpens: 0, hoverTime: 0, viewTime: 0, detailTime: 0 };
+        }
+        this.data.projects[project][stat] = (this.data.projects[project][stat] || 0) + amount;
+        this.dirty = true;
+        this.notifyChange(`projects.${project}.${stat}`);
+    }
+
+    trackProjectClick(project) {
+        this.addProjectStat(project, 'clicks');
+        this.trackClick('projects', null, { project });
+    }
+
+    trackProjectCta(project) {
+        this.addProjectStat(project, 'ctaOpens');
+        this.trackClick('projects', null, { project, cta: true });
+    }
+
+    // Time spent reading a project's detail view
+    trackProjectDetail(project, duration) {
+        this.addProjectStat(project, 'detailTime', duration);
+        this.trackInteraction('project_detail', { project, duration });
+        this.scheduleSave();
     }
 
     setupInteractionTracking() {
         // Track all clicks for heatmap-like data
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
+            if (!this.isTracking()) return;
+
             const target = e.target;
+            // Owner tooling such as the dashboard opts out with data-no-track; the path is
+            // checked rather than the target because the tooling may re-render on click
+            if (e.composedPath().some(node => node.dataset && 'noTrack' in node.dataset)) return;
+
+            const rect = target.getBoundingClientRect();
+            const section = target.closest('section[data-section]');
             const elementData = {
                 tag: target.tagName.toLowerCase(),
                 class: target.className,
                 id: target.id,
-                text: target.textContent?.slice(0, 50),
+                text: this.isSensitiveElement(target) ? '[redacted]' : target.textContent?.slice(0, 50),
+                selector: this.getSelector(target),
+                section: section ? section.id : this.currentSection,
+                // Document-relative, so it survives scrolling
                 position: {
-                    x: e.clientX,
-                    y: e.clientY
+                    x: Math.round(e.pageX),
+                    y: Math.round(e.pageY)
                 },
-                timestamp: Date.now()
+                // Fraction of the target's box, so it survives responsive layout changes
+                offset: {
+                    x: rect.width ? +((e.clientX - rect.left) / rect.width).toFixed(3) : 0.5,
+                    y: rect.height ? +((e.clientY - rect.top) / rect.height).toFixed(3) : 0.5
+                },
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight
+                }
             };
-            
-            this.data.interactions.push({
-                type: 'click',
-                ...elementData
-            });
-            
-            // Keep only last 1000 interactions
-            if (this.data.interactions.length > 1000) {
-                this.data.interactions = this.data.interactions.slice(-1000);
-            }
+
+            this.trackInteraction('click', elementData);
         });
     }
 
-    updateSectionTime() {
-        const now = Date.now();
-        const timeSpent = now - this.sectionStartTime;
+    // Shortest path that identifies the element again on a later visit: an id if there is one
+    // on the way up, otherwise tag and :nth-of-type steps
+    getSelector(element) {
+        const steps = [];
+        let node = element;
+        while (node && node.nodeType === 1 && node !== document.body && node !== document.documentElement) {
+            if (node.id) {
+                const id = window.CSS && CSS.escape ? CSS.escape(node.id) : node.id;
+                steps.unshift(`#${id}`);
+                return steps.join(' > ');
+            }
+
+            let step = node.tagName.toLowerCase();
+            const siblings = node.parentElement
+                ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+                : [];
+            if (siblings.length > 1) {
+                step += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+            steps.unshift(step);
+            node = node.parentElement;
+        }
+        steps.unshift('body');
+        return steps.join(' > ');
+    }
+
+    // Anything inside a form may hold what the visitor typed, so its text is never stored
+    isSensitiveElement(element) {
+        return !!element.closest('form, input, textarea, select, [contenteditable="true"]');
+    }
+
+    updateSectionTime(now = this.clock.now()) {
+        // Nothing accrues while the tab is in the background or the visitor has gone idle
+        if (!this.isTracking() || !this.session || this.hiddenAt !== null) {
+            this.sectionStartTime = now;
+            return;
+        }
+
+        const idleAt = this.session.lastActivity + InteractionTracker.SESSION.idleTimeout;
+        const timeSpent = Math.max(0, Math.min(now, idleAt) - this.sectionStartTime);
         this.data.timeOnSections[this.currentSection] += timeSpent;
+        this.session.timeOnSections[this.currentSection] += timeSpent;
         this.sectionStartTime = now;
+        this.dirty = true;
+        if (timeSpent > 0) {
+            this.notifyChange(`timeOnSections.${this.currentSection}`);
+        }
     }
 
     trackSectionView(section) {
-        if (this.data.sectionViews[section] !== undefined) {
-            this.data.sectionViews[section]++;
-        }
+        if (!this.isTracking()) return;
+
+        this.touchSession();
+        this.increment('sectionViews', section);
         this.trackInteraction('section_view', { section });
     }
 
-    trackClick(type, target = null, metadata = {}) {
-        if (this.data.clicks[type] !== undefined) {
-            this.data.clicks[type]++;
+    // Counts towards both the all-time totals and the current session
+    increment(group, key) {
+        if (this.data[group][key] === undefined) return;
+
+        this.data[group][key]++;
+        if (this.session) {
+            this.session[group][key] = (this.session[group][key] || 0) + 1;
         }
-        
-        if (target && this.data.clicks[target] !== undefined) {
-            this.data.clicks[target]++;
+        this.notifyChange(`${group}.${key}`);
+    }
+
+    // How soon after landing the visitor first got to the contact section; the fastest visit
+    // is kept, as that is what tells a recruiter apart from someone browsing
+    trackContactReached() {
+        if (this.contactReached || !this.isTracking()) return;
+
+        this.contactReached = true;
+        const elapsed = this.clock.now() - this.pageStartTime;
+        if (this.data.contactReachTime === null || elapsed < this.data.contactReachTime) {
+            this.data.contactReachTime = elapsed;
+            this.scheduleSave();
+            this.notifyChange('contactReachTime');
+        }
+    }
+
+    // Last non-direct source wins, so a visitor who came back by typing the address keeps the
+    // source that brought them in the first place
+    recordAcquisition() {
+        if (!this.isTracking()) return;
+
+        const { source, medium, campaign } = this.segments.getReferral();
+        if (source === 'direct') return;
+
+        this.data.acquisition = { source, medium, campaign };
+        this.scheduleSave();
+        this.notifyChange('acquisition');
+    }
+
+    trackClick(type, target = null, metadata = {}) {
+        if (!this.isTracking()) return;
+
+        this.touchSession();
+        this.increment('clicks', type);
+        if (target) {
+            this.increment('clicks', target);
         }
         
         this.trackInteraction('click', { type, target, ...metadata });
-        this.saveData();
+        this.scheduleSave();
     }
 
     trackInteraction(type, data = {}) {
-        this.data.interactions.push({
+        if (!this.isTracking()) return;
+
+        const now = this.clock.now();
+        this.touchSession(now);
+        const interaction = {
             type,
-            timestamp: Date.now(),
+            timestamp: now,
+            session: this.session ? this.session.id : null,
             ...data
-        });
+        };
+        this.data.interactions.push(interaction);
+        if (this.session) {
+            this.session.interactions++;
+        }
+        this.dirty = true;
+        this.notifyChange('interactions');
+
+        if (this.beacon) {
+            this.beacon.enqueue(interaction);
+        }
         
         // Keep interactions manageable
         if (this.data.interactions.length > 1000) {
@@ -157,20 +585,11 @@ class InteractionTracker {
 
     trackThemePreference(preference) {
         this.data.themePreference = preference;
+        this.notifyChange('themePreference');
         this.trackInteraction('theme_change', { preference });
         this.saveData();
     }
 
-    incrementVisitCount() {
-        const today = new Date().toDateString();
-        if (this.data.lastVisit !== today) {
-            this.data.visitCount++;
-            this.data.lastVisit = today;
-            this.trackInteraction('visit');
-            this.saveData();
-        }
-    }
-
     getEngagementScore() {
         const clicks = Object.values(this.data.clicks).reduce((a, b) => a + b, 0);
         const time = Object.values(this.data.timeOnSections).reduce((a, b) => a + b, 0) / 1000; // Convert to seconds
@@ -179,35 +598,153 @@ class InteractionTracker {
         return (clicks * 0.3) + (time * 0.4) + (scroll * 0.3);
     }
 
+    // How much each interaction counts towards a project's score; times are per second
+    static get PROJECT_WEIGHTS() {
+        return { clicks: 3, ctaOpens: 5, hoverTime: 0.5, viewTime: 0.05, detailTime: 0.2 };
+    }
+
+    // Projects the visitor engaged with, best first
+    getProjectRanking() {
+        const weights = InteractionTracker.PROJECT_WEIGHTS;
+        return Object.entries(this.data.projects)
+            .map(([id, stats]) => ({
+                id,
+                ...stats,
+                score: stats.clicks * weights.clicks +
+                    stats.ctaOpens * weights.ctaOpens +
+                    (stats.hoverTime / 1000) * weights.hoverTime +
+                    (stats.viewTime / 1000) * weights.viewTime +
+                    ((stats.detailTime || 0) / 1000) * weights.detailTime
+            }))
+            .filter(project => project.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getPopularProject() {
+        const [top] = this.getProjectRanking();
+        return top ? top.id : null;
+    }
+
+    // Coarse overview a visitor may choose to attach to a message: no timestamps, positions or
+    // text, only rounded totals and the names of the sections and projects they looked at
+    getEngagementSummary() {
+        return {
+            visits: this.data.visitCount,
+            engagementScore: Math.round(this.getEngagementScore()),
+            scrollDepth: this.data.scrollDepth,
+            topSections: Object.entries(this.data.timeOnSections)
+                .filter(([, time]) => time > 0)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([section]) => section),
+            projectsViewed: this.getProjectRanking().map(project => project.id)
+        };
+    }
+
+    // Audience segments the visitor falls into right now (see visitorSegments.js)
+    getSegments(data = this.data) {
+        return this.segments.classify(data);
+    }
+
+    isInSegment(segment) {
+        return this.getSegments().includes(segment);
+    }
+
+    isKnownSegment(segment) {
+        return this.segments.isKnown(segment);
+    }
+
+    getSegmentDependencies() {
+        return VisitorSegments.DEPENDENCIES;
+    }
+
+    getReferral() {
+        return this.segments.getReferral();
+    }
+
+    // Totals over the given sessions, in the same shape as the all-time counters so rules can
+    // use 'session.clicks.projects' or 'last7Days.timeOnSections.about' like 'clicks.projects'
+    summarizeSessions(sessions) {
+        const defaults = this.getDefaultData();
+        const summary = {
+            sessions: sessions.length,
+            duration: 0,
+            interactions: 0,
+            scrollDepth: 0,
+            clicks: defaults.clicks,
+            timeOnSections: defaults.timeOnSections,
+            sectionViews: defaults.sectionViews
+        };
+
+        sessions.forEach(session => {
+            summary.duration += session.lastActivity - session.start;
+            summary.interactions += session.interactions;
+            summary.scrollDepth = Math.max(summary.scrollDepth, session.scrollDepth);
+            ['clicks', 'timeOnSections', 'sectionViews'].forEach(group => {
+                Object.entries(session[group]).forEach(([key, value]) => {
+                    summary[group][key] = (summary[group][key] || 0) + value;
+                });
+            });
+        });
+        return summary;
+    }
+
+    getSessionId() {
+        return this.session ? this.session.id : null;
+    }
+
+    getSessionSummary() {
+        return this.summarizeSessions(this.session ? [this.session] : []);
+    }
+
+    getRecentSummary(days = 7, now = this.clock.now()) {
+        const cutoff = now - days * 24 * 60 * 60 * 1000;
+        return this.summarizeSessions(this.data.sessions.filter(session => session.lastActivity >= cutoff));
+    }
+
+    // What rule conditions see: the all-time data plus this session and the last 7 days
+    getRuleData() {
+        return {
+            ...this.data,
+            session: this.getSessionSummary(),
+            last7Days: this.getRecentSummary(7)
+        };
+    }
+
+    getRuleDataShape() {
+        const empty = this.summarizeSessions([]);
+        return { ...this.getDefaultData(), session: empty, last7Days: empty };
+    }
+
     getPopularSection() {
         const sections = Object.entries(this.data.timeOnSections);
         return sections.reduce((a, b) => a[1] > b[1] ? a : b)[0];
     }
 
+    // Coalesce bursts of clicks into a single write
+    scheduleSave(delay = 1000) {
+        this.clock.clearTimeout(this.saveTimeout);
+        this.saveTimeout = this.clock.setTimeout(() => this.saveData(), delay);
+    }
+
     saveData() {
-        try {
-            localStorage.setItem('portfolioInteractionData', JSON.stringify(this.data));
-        } catch (e) {
-            console.warn('Could not save interaction data:', e);
-        }
+        if (!this.isTracking()) return;
+
+        this.clock.clearTimeout(this.saveTimeout);
+        this.dirty = false;
+        this.storage.write('portfolioInteractionData', this.data);
     }
 
     loadData() {
-        try {
-            const saved = localStorage.getItem('portfolioInteractionData');
-            return saved ? JSON.parse(saved) : null;
-        } catch (e) {
-            console.warn('Could not load interaction data:', e);
-            return null;
-        }
+        return this.storage.read('portfolioInteractionData');
     }
 
     getData() {
         return this.data;
     }
 
-    resetData() {
-        this.data = {
+    getDefaultData() {
+        return {
             clicks: {
                 projects: 0,
                 contact: 0,
@@ -230,20 +767,39 @@ class InteractionTracker {
                 projects: 0,
                 contact: 0
             },
+            projects: {},
+            contactReachTime: null,
+            acquisition: {
+                source: null,
+                medium: null,
+                campaign: null
+            },
             themePreference: 'light',
-            lastVisit: new Date().toDateString(),
-            visitCount: 1,
+            lastVisit: null,
+            visitCount: 0,
+            sessions: [],
             interactions: []
         };
+    }
+
+    resetData() {
+        this.data = this.getDefaultData();
+        this.session = null;
+        this.startSession();
         this.saveData();
+        this.notifyChange('*');
         return this.data;
     }
 
     // Analytics methods
-    getClickHeatmap() {
+    // Clicks that can be placed on the page, optionally limited to a section and a time range
+    getClickHeatmap({ section = null, from = null, to = null } = {}) {
         return this.data.interactions
-            .filter(i => i.type === 'click')
-            .map(i => i.position);
+            .filter(i => i.type === 'click' && i.position && i.viewport)
+            .filter(i => !section || i.section === section)
+            .filter(i => (from === null || i.timestamp >= from) && (to === null || i.timestamp <= to))
+            .map(({ selector, offset, position, viewport, section, timestamp }) =>
+                ({ selector, offset, position, viewport, section, timestamp }));
     }
 
     getPopularInteractionTimes() {
@@ -256,5 +812,6 @@ class InteractionTracker {
     }
 }
 
-// Create global instance
-const interactionTracker = new InteractionTracker();
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InteractionTracker };
+}
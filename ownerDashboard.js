@@ -0,0 +1,345 @@
+// Owner Dashboard Module
+// Charts what the tracker recorded and how the engine evolved the page.
+// Open it with the hidden route #/owner or Ctrl+Shift+E; Escape closes it.
+class OwnerDashboard {
+    constructor(app, { clock = systemClock } = {}) {
+        this.app = app;
+        this.clock = clock;
+        this.i18n = app.i18n;
+        this.tracker = app.tracker;
+        this.engine = app.evolutionEngine;
+        this.element = null;
+        this.refreshTimer = null;
+        this.init();
+    }
+
+    static get ROUTE() {
+        return '#/owner';
+    }
+
+    // Summary figures and bar charts, in order; each has a dashboard.<name> label
+    static get STATS() {
+        return ['sessions', 'recentSessions', 'thisSession', 'engagement', 'scrollDepth', 'evolutions', 'budget', 'popularSection', 'segments'];
+    }
+
+    static get BAR_CHARTS() {
+        return ['sectionTime', 'clicks', 'sectionViews', 'projectScore'];
+    }
+
+    init() {
+        window.addEventListener('hashchange', () => this.syncWithRoute());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'e') {
+                e.preventDefault();
+                this.toggle();
+            } else if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        this.syncWithRoute();
+    }
+
+    syncWithRoute() {
+        if (location.hash === OwnerDashboard.ROUTE) {
+            this.open();
+        } else if (this.isOpen()) {
+            this.close();
+        }
+    }
+
+    isOpen() {
+        return !!this.element;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'owner-dashboard';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', this.i18n.t('dashboard.label'));
+        this.element.dataset.i18nAttr = 'aria-label: dashboard.label';
+        // Keep the owner's own clicks out of the interaction log
+        this.element.dataset.noTrack = '';
+        this.element.innerHTML = this.renderShell();
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-dashboard-action]')?.dataset.dashboardAction;
+            if (action) this.handleAction(action);
+        });
+
+        this.update();
+        this.refreshTimer = this.clock.setInterval(() => this.update(), 5000);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.clock.clearInterval(this.refreshTimer);
+        this.element.remove();
+        this.element = null;
+
+        if (location.hash === OwnerDashboard.ROUTE) {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'refresh':
+                this.update();
+                break;
+            case 'heatmap':
+                this.close();
+                this.app.heatmap.show();
+                break;
+            case 'export':
+                this.exportData();
+                break;
+            case 'reset':
+                if (confirm(this.i18n.t('dashboard.confirmReset'))) {
+                    this.tracker.resetData();
+                    this.update();
+                }
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    getSnapshot() {
+        const data = this.tracker.getData();
+        return {
+            exportedAt: new Date(this.clock.now()).toISOString(),
+            engagementScore: this.tracker.getEngagementScore(),
+            popularSection: this.tracker.getPopularSection(),
+            currentSession: this.tracker.getSessionSummary(),
+            last7Days: this.tracker.getRecentSummary(7),
+            segments: this.tracker.getSegments(),
+            referral: this.tracker.getReferral(),
+            projectRanking: this.tracker.getProjectRanking(),
+            interactionData: data,
+            clickHeatmap: this.tracker.getClickHeatmap(),
+            hourlyActivity: this.tracker.getPopularInteractionTimes(),
+            evolutionHistory: this.engine.getEvolutionHistory(),
+            evolutionInsights: this.engine.getEvolutionInsights(),
+            activeEvolutions: Array.from(this.engine.currentEvolutions),
+            evolutionBudget: this.engine.getBudget(),
+            experiments: this.engine.experiments.getReport(),
+            bandit: this.engine.bandit ? this.engine.bandit.getStats() : null
+        };
+    }
+
+    exportData() {
+        const blob = new Blob([JSON.stringify(this.getSnapshot(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `portfolio-analytics-${new Date(this.clock.now()).toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.clock.setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Built once when the dashboard opens; update() then only changes the values inside it, so
+    // focus, scroll positions and the screen reader's place survive a refresh
+    renderShell() {
+        const actions = [['refresh', 'sync'], ['heatmap', 'fire'], ['export', 'download'], ['reset', 'trash']];
+        const stats = OwnerDashboard.STATS.map(name => `
+            <div class="dashboard-stat">
+                <strong data-stat="${name}"></strong>
+                ${this.message('span', `dashboard.${name}`)}
+            </div>
+        `).join('');
+        const charts = OwnerDashboard.BAR_CHARTS.map(name => `
+            <section class="dashboard-card" data-chart="${name}">
+                ${this.message('h3', `dashboard.${name}`)}
+                <div class="dashboard-bars"></div>
+            </section>
+        `).join('');
+        const columns = Array.from({ length: 24 }, () =>
+            '<div class="dashboard-column"><div class="dashboard-column-fill"></div></div>').join('');
+
+        return `
+            <div class="dashboard-panel glass-card">
+                <div class="dashboard-header">
+                    ${this.message('h2', 'dashboard.title')}
+                    <div class="dashboard-actions">
+                        ${actions.map(([action, icon]) => `
+                            <button class="btn btn-secondary" data-dashboard-action="${action}" type="button">
+                                <i class="fas fa-${icon}"></i>${this.message('span', `dashboard.${action}`)}
+                            </button>
+                        `).join('')}
+                        <button class="notice-close" data-dashboard-action="close" type="button"
+                                aria-label="${escapeHtml(this.i18n.t('dashboard.close'))}" data-i18n-attr="aria-label: dashboard.close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="dashboard-summary">${stats}</div>
+
+                <div class="dashboard-grid">
+                    ${charts}
+                    <section class="dashboard-card" data-chart="hourly">
+                        ${this.message('h3', 'dashboard.hourly')}
+                        <div class="dashboard-columns">${columns}</div>
+                        <div class="dashboard-axis"><span>0h</span><span>12h</span><span>23h</span></div>
+                    </section>
+                    <section class="dashboard-card dashboard-wide" data-chart="timeline">
+                        ${this.message('h3', 'dashboard.timeline')}
+                        ${this.message('p', 'dashboard.noEvolutions', 'dashboard-empty')}
+                        <div class="dashboard-timeline">
+                            <svg class="dashboard-sparkline" viewBox="-5 0 310 62" preserveAspectRatio="none" aria-hidden="true">
+                                <polyline points="" />
+                            </svg>
+                            <ol class="dashboard-events"></ol>
+                        </div>
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    // An element showing a message; i18n.apply() relabels it when the language changes
+    message(tag, key, className = '') {
+        const classAttribute = className ? ` class="${className}"` : '';
+        return `<${tag}${classAttribute} data-i18n="${key}">${escapeHtml(this.i18n.t(key))}</${tag}>`;
+    }
+
+    update() {
+        if (!this.element) return;
+
+        const data = this.tracker.getData();
+        const budget = this.engine.getBudget();
+        const session = this.tracker.getSessionSummary();
+        const number = (value, options) => this.i18n.formatNumber(value, options);
+        const segments = this.tracker.getSegments();
+        const stats = {
+            sessions: number(data.visitCount),
+            recentSessions: number(this.tracker.getRecentSummary(7).sessions),
+            thisSession: this.i18n.t('dashboard.minutes', { count: Math.round(session.duration / 60000) }),
+            engagement: number(this.tracker.getEngagementScore(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+            scrollDepth: number(data.scrollDepth / 100, { style: 'percent' }),
+            evolutions: number(this.engine.getEvolutionInsights().totalEvolutions),
+            budget: budget.limit === null
+                ? number(budget.spent)
+                : this.i18n.t('dashboard.budgetOf', { spent: budget.spent, limit: budget.limit }),
+            popularSection: this.tracker.getPopularSection(),
+            segments: segments.length > 0 ? this.i18n.formatList(segments) : this.i18n.t('dashboard.noSegments')
+        };
+        Object.entries(stats).forEach(([name, value]) => {
+            this.element.querySelector(`[data-stat="${name}"]`).textContent = value;
+        });
+
+        this.updateBars('sectionTime', Object.entries(data.timeOnSections).map(([section, ms]) => [section, Math.round(ms / 1000)]));
+        this.updateBars('clicks', Object.entries(data.clicks));
+        this.updateBars('sectionViews', Object.entries(data.sectionViews));
+        this.updateBars('projectScore', this.tracker.getProjectRanking().map(project => [project.id, Math.round(project.score)]));
+        this.updateColumns(this.tracker.getPopularInteractionTimes());
+        this.updateTimeline();
+    }
+
+    // Make the container's children match items in order, reusing the element already there
+    // for each key and creating or removing only what changed
+    syncChildren(container, items, { key, create, fill }) {
+        const existing = new Map(Array.from(container.children).map(child => [child.dataset.key, child]));
+        const seen = new Map();
+        items.forEach((item, index) => {
+            // Repeated keys get a counter so every child stays matched to one item
+            const base = String(key(item));
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            const itemKey = count > 0 ? `${base}#${count}` : base;
+            let child = existing.get(itemKey);
+            existing.delete(itemKey);
+            if (!child) {
+                child = create(item);
+                child.dataset.key = itemKey;
+            }
+            fill(child, item);
+            if (container.children[index] !== child) {
+                container.insertBefore(child, container.children[index] || null);
+            }
+        });
+        existing.forEach(child => child.remove());
+    }
+
+    updateBars(chart, entries) {
+        const max = Math.max(1, ...entries.map(([, value]) => value));
+        this.syncChildren(this.element.querySelector(`[data-chart="${chart}"] .dashboard-bars`), entries, {
+            key: ([label]) => label,
+            create: ([label]) => {
+                const row = document.createElement('div');
+                row.className = 'dashboard-bar';
+                row.innerHTML = `
+                    <span class="dashboard-bar-label">${escapeHtml(label)}</span>
+                    <div class="skill-bar"><div class="skill-progress"></div></div>
+                    <span class="dashboard-bar-value"></span>
+                `;
+                return row;
+            },
+            fill: (row, [, value]) => {
+                row.querySelector('.skill-progress').style.width = `${(value / max) * 100}%`;
+                row.querySelector('.dashboard-bar-value').textContent = this.i18n.formatNumber(value);
+            }
+        });
+    }
+
+    updateColumns(hourly) {
+        const counts = Array.from({ length: 24 }, (_, hour) => hourly[hour] || 0);
+        const max = Math.max(1, ...counts);
+        this.element.querySelectorAll('[data-chart="hourly"] .dashboard-column').forEach((column, hour) => {
+            column.title = this.i18n.t('dashboard.hourActivity', { hour: `${hour}:00`, count: counts[hour] });
+            column.firstElementChild.style.height = `${(counts[hour] / max) * 100}%`;
+        });
+    }
+
+    updateTimeline() {
+        const section = this.element.querySelector('[data-chart="timeline"]');
+        const history = this.engine.getEvolutionHistory();
+        section.querySelector('.dashboard-empty').hidden = history.length > 0;
+        section.querySelector('.dashboard-timeline').hidden = history.length === 0;
+
+        const scores = history.map(event => event.engagementScore || 0);
+        const max = Math.max(1, ...scores);
+        const step = history.length > 1 ? 300 / (history.length - 1) : 0;
+        section.querySelector('polyline').setAttribute('points',
+            scores.map((score, i) => `${(i * step).toFixed(1)},${(60 - (score / max) * 55).toFixed(1)}`).join(' '));
+
+        this.syncChildren(section.querySelector('.dashboard-events'), history.slice().reverse(), {
+            key: event => `${event.timestamp}:${event.rule || ''}:${event.description}`,
+            create: () => {
+                const item = document.createElement('li');
+                item.innerHTML = '<time></time><span></span><strong></strong>';
+                return item;
+            },
+            fill: (item, event) => {
+                item.className = `dashboard-event ${['reverted', 'refused'].includes(event.type) ? event.type : ''}`;
+                const time = item.querySelector('time');
+                time.dateTime = new Date(event.timestamp).toISOString();
+                time.textContent = new Date(event.timestamp).toLocaleString(this.i18n.getLocale());
+                item.querySelector('span').textContent = event.description;
+                item.querySelector('strong').textContent = this.i18n.formatNumber(event.engagementScore || 0,
+                    { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+            }
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OwnerDashboard };
+}
@@ -0,0 +1,284 @@
+// Project Detail Modal Module
+// Accessible detail view for a project card, reachable at #/projects/<id> so it can be shared.
+// Focus stays inside the dialog while it is open and returns to the opener when it closes.
+class ProjectModal {
+    constructor(tracker, content, i18n, { clock = systemClock } = {}) {
+        this.tracker = tracker;
+        this.content = content;
+        this.i18n = i18n;
+        this.clock = clock;
+        this.element = null;
+        this.projectId = null;
+        this.openedAt = null;
+        this.slide = 0;
+        this.returnFocus = null;
+        this.pushedRoute = false;
+        this.handleKeydown = (e) => this.onKeydown(e);
+        this.init();
+    }
+
+    static get ROUTE_PREFIX() {
+        return '#/projects/';
+    }
+
+    init() {
+        window.addEventListener('hashchange', () => this.syncWithRoute());
+
+        // Bank the time spent so far in case the page never comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.recordDetailTime();
+            }
+        });
+
+        this.syncWithRoute();
+    }
+
+    getRouteProject() {
+        const hash = location.hash;
+        if (!hash.startsWith(ProjectModal.ROUTE_PREFIX)) return null;
+        return decodeURIComponent(hash.slice(ProjectModal.ROUTE_PREFIX.length));
+    }
+
+    syncWithRoute() {
+        const projectId = this.getRouteProject();
+        if (projectId && projectId !== this.projectId) {
+            this.show(projectId);
+        } else if (!projectId && this.isOpen()) {
+            this.hide();
+        }
+    }
+
+    isOpen() {
+        return !!this.element;
+    }
+
+    // Opens the project and adds a history entry, so Back closes it again
+    open(projectId) {
+        if (!this.content.has('projects', projectId)) return;
+
+        const route = ProjectModal.ROUTE_PREFIX + encodeURIComponent(projectId);
+        if (location.hash !== route) {
+            history.pushState(null, '', route);
+            this.pushedRoute = true;
+        }
+        this.show(projectId);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        if (this.pushedRoute) {
+            this.pushedRoute = false;
+            history.back(); // hashchange hides the modal
+        } else {
+            // Opened from a shared link; drop the route without leaving the page
+            history.replaceState(null, '', location.pathname + location.search);
+            this.hide();
+        }
+    }
+
+    show(projectId) {
+        const project = this.content.get('projects', projectId);
+        if (!project) {
+            console.warn(`Unknown project "${projectId}".`);
+            return;
+        }
+
+        if (this.isOpen()) {
+            this.hide({ restoreFocus: false });
+        } else {
+            this.returnFocus = document.activeElement;
+        }
+
+        this.projectId = projectId;
+        this.openedAt = this.clock.now();
+        this.slide = 0;
+
+        this.element = document.createElement('div');
+        this.element.className = 'project-modal';
+        this.element.innerHTML = this.render(project);
+        document.body.appendChild(this.element);
+        document.body.classList.add('modal-open');
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element || e.target.closest('[data-modal-close]')) {
+                this.close();
+            } else if (e.target.closest('[data-gallery-prev]')) {
+                this.showSlide(this.slide - 1);
+            } else if (e.target.closest('[data-gallery-next]')) {
+                this.showSlide(this.slide + 1);
+            } else if (e.target.closest('[data-gallery-dot]')) {
+                this.showSlide(parseInt(e.target.closest('[data-gallery-dot]').dataset.galleryDot, 10));
+            }
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.showSlide(0);
+        this.element.querySelector('.project-modal-dialog').focus();
+    }
+
+    hide({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.recordDetailTime();
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.body.classList.remove('modal-open');
+        this.element.remove();
+        this.element = null;
+        this.projectId = null;
+        this.openedAt = null;
+
+        if (restoreFocus) {
+            if (this.returnFocus && document.contains(this.returnFocus)) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+    }
+
+    recordDetailTime() {
+        if (!this.projectId || this.openedAt === null) return;
+
+        const now = this.clock.now();
+        this.tracker.trackProjectDetail(this.projectId, now - this.openedAt);
+        this.openedAt = now;
+    }
+
+    onKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        } else if (/^Arrow(Left|Right)$/.test(e.key) && e.target.closest('.project-gallery')) {
+            // The gallery runs right to left in RTL languages, so the arrows swap too
+            const forward = (e.key === 'ArrowRight') === (this.i18n.getDirection() === 'ltr');
+            this.showSlide(this.slide + (forward ? 1 : -1));
+        }
+    }
+
+    // Keep Tab and Shift+Tab cycling through the dialog's own controls
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll(
+            'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        ));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.element.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    showSlide(index) {
+        const slides = this.element.querySelectorAll('.gallery-slide');
+        if (slides.length === 0) return;
+
+        this.slide = (index + slides.length) % slides.length;
+        slides.forEach((slide, i) => {
+            slide.hidden = i !== this.slide;
+        });
+        this.element.querySelectorAll('[data-gallery-dot]').forEach((dot, i) => {
+            dot.setAttribute('aria-current', i === this.slide ? 'true' : 'false');
+        });
+
+        const status = this.element.querySelector('.gallery-status');
+        if (status) {
+            status.textContent = this.i18n.t('modal.slideStatus', { current: this.slide + 1, total: slides.length });
+        }
+    }
+
+    // Gallery slides are { src, alt, caption } screenshots or { icon, caption } illustrations
+    render(project) {
+        const title = project.title || project.id;
+        const icon = project.icon || '';
+        const features = project.features || [];
+        const gallery = project.gallery || [];
+        const techStack = project.techStack || [];
+        const links = project.links || [];
+
+        const slides = gallery.map((slide, i) => `
+            <figure class="gallery-slide" ${i === 0 ? '' : 'hidden'}>
+                ${slide.src
+                    ? `<img src="${escapeHtml(slide.src)}" alt="${escapeHtml(slide.alt || '')}">`
+                    : `<div class="gallery-illustration" aria-hidden="true">${escapeHtml(slide.icon || icon)}</div>`}
+                <figcaption>${escapeHtml(slide.caption || '')}</figcaption>
+            </figure>
+        `).join('');
+
+        const dots = gallery.map((_, i) => `
+            <button class="gallery-dot" data-gallery-dot="${i}" type="button" aria-label="${escapeHtml(this.i18n.t('modal.showSlide', { number: i + 1 }))}"></button>
+        `).join('');
+
+        return `
+            <div class="project-modal-dialog glass-card" role="dialog" aria-modal="true"
+                 aria-labelledby="projectModalTitle" tabindex="-1">
+                <div class="project-modal-header">
+                    <div class="project-icon" aria-hidden="true">${escapeHtml(icon)}</div>
+                    <h2 id="projectModalTitle">${escapeHtml(title)}</h2>
+                    <button class="notice-close" data-modal-close type="button" aria-label="${escapeHtml(this.i18n.t('modal.close'))}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <p class="project-description">${escapeHtml(project.overview || project.description || '')}</p>
+
+                ${gallery.length > 0 ? `
+                    <div class="project-gallery" role="group" aria-roledescription="carousel" aria-label="${escapeHtml(this.i18n.t('modal.gallery', { title }))}">
+                        ${slides}
+                        <div class="gallery-controls">
+                            <button class="icon-btn" data-gallery-prev type="button" aria-label="${escapeHtml(this.i18n.t('modal.previous'))}">
+                                <i class="fas fa-chevron-left"></i>
+                            </button>
+                            <div class="gallery-dots">${dots}</div>
+                            <button class="icon-btn" data-gallery-next type="button" aria-label="${escapeHtml(this.i18n.t('modal.next'))}">
+                                <i class="fas fa-chevron-right"></i>
+                            </button>
+                        </div>
+                        <p class="gallery-status visually-hidden" aria-live="polite"></p>
+                    </div>
+                ` : ''}
+
+                ${techStack.length > 0 ? `
+                    <h3>${escapeHtml(this.i18n.t('modal.techStack'))}</h3>
+                    <ul class="project-features">
+                        ${techStack.map(tech => `<li class="feature-tag">${escapeHtml(tech)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+
+                ${features.length > 0 ? `
+                    <h3>${escapeHtml(this.i18n.t('modal.highlights'))}</h3>
+                    <ul class="project-features">
+                        ${features.map(feature => `<li class="feature-tag">${escapeHtml(feature)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+
+                ${links.length > 0 ? `
+                    <div class="project-links">
+                        ${links.map(link => `
+                            <a class="btn btn-secondary" href="${escapeHtml(link.url)}" target="_blank" rel="noopener">
+                                <i class="fas fa-${escapeHtml(link.icon || 'external-link-alt')}"></i>
+                                <span>${escapeHtml(link.label)}</span>
+                            </a>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectModal };
+}
@@ -0,0 +1,537 @@
+// Evolution Rule Compiler Module
+// Validates declarative rule configs and turns them into the
+// { name, condition, action, cooldown, persistent, experiment, dependencies, priority, excludes,
+// targets } objects the engine evaluates. dependencies lists the tracker data paths the condition
+// reads ('*' for anything), so a rule only needs re-checking when one of them changes. excludes
+// is symmetric: a rule also excludes every rule that names it.
+class RuleConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid evolution rule config:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'RuleConfigError';
+        this.errors = errors;
+    }
+}
+
+class RuleCompiler {
+    constructor({
+        actions = {},
+        conditions = {},
+        metrics = {},
+        metricDependencies = {},
+        dataShape = {},
+        segments = null,
+        content = null,
+        goals = [],
+        banditStrategies = []
+    } = {}) {
+        this.actions = actions;
+        // Named checks rules can use as { condition: name, params }:
+        // { test(data, params), params?, dependsOn? }
+        this.conditions = conditions;
+        this.metrics = metrics;
+        // Data paths each computed metric reads; a metric without an entry depends on everything
+        this.metricDependencies = metricDependencies;
+        this.dataShape = dataShape;
+        // Anything with isKnownSegment(name), getSegments(data) and getSegmentDependencies(),
+        // usually the tracker
+        this.segments = segments;
+        this.content = content;
+        this.goals = goals;
+        this.banditStrategies = banditStrategies;
+    }
+
+    static get RULE_FIELDS() {
+        return ['name', 'when', 'action', 'cooldown', 'experiment', 'dependsOn', 'priority', 'excludes', 'targets'];
+    }
+
+    static get OPERATORS() {
+        return {
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b
+        };
+    }
+
+    compile(config) {
+        const errors = this.validate(config);
+        if (errors.length > 0) {
+            throw new RuleConfigError(errors);
+        }
+
+        return config.rules.map(rule => {
+            const action = this.actions[rule.action.name];
+            const params = { ...(rule.action.params || {}) };
+            const condition = this.compileExpression(rule.when);
+            const excludedBy = config.rules
+                .filter(other => (other.excludes || []).includes(rule.name))
+                .map(other => other.name);
+
+            return {
+                name: rule.name,
+                condition: (data) => condition(data),
+                action: () => action.run(params),
+                cooldown: rule.cooldown || 0,
+                persistent: action.persistent !== false,
+                experiment: rule.experiment ? this.compileExperiment(rule.experiment, action, params) : null,
+                dependencies: this.collectDependencies(rule),
+                priority: rule.priority || 0,
+                excludes: Array.from(new Set([...(rule.excludes || []), ...excludedBy])),
+                // The rule's own targets replace the ones its action declares
+                targets: (rule.targets || action.targets || []).slice()
+            };
+        });
+    }
+
+    // Each variant runs the rule's action with its params merged over the rule's; a control runs nothing
+    compileExperiment(experiment, action, params) {
+        return {
+            goals: experiment.goals.slice(),
+            variants: experiment.variants.map(variant => {
+                const variantParams = { ...params, ...(variant.params || {}) };
+                return {
+                    name: variant.name,
+                    control: !!variant.control,
+                    weight: variant.weight === undefined ? 1 : variant.weight,
+                    action: variant.control ? null : () => action.run(variantParams)
+                };
+            })
+        };
+    }
+
+    validate(config) {
+        const errors = [];
+
+        if (!config || typeof config !== 'object') {
+            return ['config must be an object'];
+        }
+
+        Object.keys(config).forEach(key => {
+            if (!['version', 'rules', 'bandit', 'budget'].includes(key)) {
+                errors.push(`unknown top-level field "${key}"`);
+            }
+        });
+
+        if (config.bandit !== undefined) {
+            this.validateBandit(config.bandit, errors);
+        }
+
+        if (config.budget !== undefined) {
+            this.validateBudget(config.budget, errors);
+        }
+
+        if (!Array.isArray(config.rules)) {
+            errors.push('"rules" must be an array');
+            return errors;
+        }
+
+        const names = new Set();
+        config.rules.forEach((rule, index) => {
+            const where = `rules[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${where}: rule must be an object`);
+                return;
+            }
+
+            Object.keys(rule).forEach(key => {
+                if (!RuleCompiler.RULE_FIELDS.includes(key)) {
+                    errors.push(`${where}: unknown field "${key}"`);
+                }
+            });
+
+            if (typeof rule.name !== 'string' || !rule.name) {
+                errors.push(`${where}: "name" must be a non-empty string`);
+            } else if (names.has(rule.name)) {
+                errors.push(`${where}: duplicate rule name "${rule.name}"`);
+            } else {
+                names.add(rule.name);
+            }
+
+            if (rule.cooldown !== undefined && (typeof rule.cooldown !== 'number' || rule.cooldown < 0)) {
+                errors.push(`${where}: "cooldown" must be a non-negative number of milliseconds`);
+            }
+
+            if (rule.dependsOn !== undefined && (!Array.isArray(rule.dependsOn) ||
+                rule.dependsOn.some(path => typeof path !== 'string' || !path))) {
+                errors.push(`${where}: "dependsOn" must be an array of data paths`);
+            }
+
+            if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority))) {
+                errors.push(`${where}: "priority" must be a number`);
+            }
+
+            if (rule.targets !== undefined && (!Array.isArray(rule.targets) ||
+                rule.targets.some(target => typeof target !== 'string' || !target))) {
+                errors.push(`${where}: "targets" must be an array of selectors`);
+            }
+
+            if (rule.when === undefined) {
+                errors.push(`${where}: missing "when" condition`);
+            } else {
+                this.validateExpression(rule.when, `${where}.when`, errors);
+            }
+
+            this.validateAction(rule.action, `${where}.action`, errors);
+
+            if (rule.experiment !== undefined) {
+                this.validateExperiment(rule.experiment, rule.action, `${where}.experiment`, errors);
+            }
+        });
+
+        // Exclusions can point forward, so check them once every name is known
+        config.rules.forEach((rule, index) => {
+            if (!rule || typeof rule !== 'object' || rule.excludes === undefined) return;
+
+            const where = `rules[${index}]${rule.name ? ` (${rule.name})` : ''}`;
+            if (!Array.isArray(rule.excludes)) {
+                errors.push(`${where}: "excludes" must be an array of rule names`);
+                return;
+            }
+            rule.excludes.forEach(name => {
+                if (name === rule.name) {
+                    errors.push(`${where}.excludes: a rule cannot exclude itself`);
+                } else if (!names.has(name)) {
+                    errors.push(`${where}.excludes: unknown rule "${name}"`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    validateBudget(budget, errors) {
+        if (!budget || typeof budget !== 'object') {
+            errors.push('budget: must be an object');
+            return;
+        }
+
+        this.checkExactKeys(budget, ['perSession'], 'budget', errors);
+
+        if (budget.perSession !== undefined && (!Number.isInteger(budget.perSession) || budget.perSession < 0)) {
+            errors.push('budget.perSession: must be a whole number of evolutions (0 or more)');
+        }
+    }
+
+    validateBandit(bandit, errors) {
+        if (!bandit || typeof bandit !== 'object') {
+            errors.push('bandit: must be an object');
+            return;
+        }
+
+        this.checkExactKeys(bandit, ['enabled', 'strategy', 'epsilon', 'rewardWindow', 'engagementScale'], 'bandit', errors);
+
+        if (bandit.enabled !== undefined && typeof bandit.enabled !== 'boolean') {
+            errors.push('bandit.enabled: must be true or false');
+        }
+        if (bandit.strategy !== undefined && !this.banditStrategies.includes(bandit.strategy)) {
+            errors.push(`bandit.strategy: unknown strategy "${bandit.strategy}" (use ${this.banditStrategies.join(', ')})`);
+        }
+        if (bandit.epsilon !== undefined && (typeof bandit.epsilon !== 'number' || bandit.epsilon < 0 || bandit.epsilon > 1)) {
+            errors.push('bandit.epsilon: must be a number between 0 and 1');
+        }
+        ['rewardWindow', 'engagementScale'].forEach(key => {
+            if (bandit[key] !== undefined && (typeof bandit[key] !== 'number' || bandit[key] <= 0)) {
+                errors.push(`bandit.${key}: must be a positive number`);
+            }
+        });
+    }
+
+    validateExperiment(experiment, action, where, errors) {
+        if (!experiment || typeof experiment !== 'object') {
+            errors.push(`${where}: must be an object with "variants" and "goals"`);
+            return;
+        }
+
+        this.checkExactKeys(experiment, ['variants', 'goals'], where, errors);
+
+        if (!Array.isArray(experiment.goals) || experiment.goals.length === 0) {
+            errors.push(`${where}.goals: must be a non-empty array`);
+        } else {
+            experiment.goals.forEach(goal => {
+                if (!this.goals.includes(goal)) {
+                    errors.push(`${where}.goals: unknown goal "${goal}" (known: ${this.goals.join(', ')})`);
+                }
+            });
+        }
+
+        if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+            errors.push(`${where}.variants: must list at least two variants`);
+            return;
+        }
+
+        const names = new Set();
+        experiment.variants.forEach((variant, index) => {
+            const variantWhere = `${where}.variants[${index}]`;
+            if (!variant || typeof variant.name !== 'string' || !variant.name) {
+                errors.push(`${variantWhere}: must have a "name"`);
+                return;
+            }
+
+            this.checkExactKeys(variant, ['name', 'control', 'params', 'weight'], variantWhere, errors);
+
+            if (names.has(variant.name)) {
+                errors.push(`${variantWhere}: duplicate variant name "${variant.name}"`);
+            }
+            names.add(variant.name);
+
+            if (variant.weight !== undefined && (typeof variant.weight !== 'number' || variant.weight <= 0)) {
+                errors.push(`${variantWhere}.weight: must be a positive number`);
+            }
+
+            if (variant.control && variant.params) {
+                errors.push(`${variantWhere}: a control variant cannot have params`);
+            } else if (variant.params && action && typeof action.name === 'string') {
+                this.validateAction({ name: action.name, params: variant.params }, variantWhere, errors);
+            }
+        });
+    }
+
+    validateAction(action, where, errors) {
+        if (!action || typeof action !== 'object' || typeof action.name !== 'string') {
+            errors.push(`${where}: must be an object with an action "name"`);
+            return;
+        }
+
+        Object.keys(action).forEach(key => {
+            if (!['name', 'params'].includes(key)) {
+                errors.push(`${where}: unknown field "${key}"`);
+            }
+        });
+
+        const definition = this.actions[action.name];
+        if (!definition) {
+            const known = Object.keys(this.actions).join(', ');
+            errors.push(`${where}: unknown action "${action.name}" (registered: ${known})`);
+            return;
+        }
+
+        const params = action.params || {};
+        if (typeof params !== 'object' || Array.isArray(params)) {
+            errors.push(`${where}.params: must be an object`);
+            return;
+        }
+
+        const allowed = definition.params || [];
+        Object.keys(params).forEach(key => {
+            if (!allowed.includes(key)) {
+                const hint = allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (action takes no params)';
+                errors.push(`${where}.params: unknown param "${key}" for action "${action.name}"${hint}`);
+            }
+        });
+
+        // Params that name a content entry must match an id in content.json (once it has loaded)
+        if (this.content && this.content.loaded) {
+            Object.entries(definition.content || {}).forEach(([param, collection]) => {
+                if (params[param] !== undefined && !this.content.has(collection, params[param])) {
+                    errors.push(`${where}.params.${param}: no ${collection} entry with id "${params[param]}" in the content`);
+                }
+            });
+        }
+    }
+
+    validateExpression(expr, where, errors) {
+        if (!expr || typeof expr !== 'object' || Array.isArray(expr)) {
+            errors.push(`${where}: expression must be an object`);
+            return;
+        }
+
+        if ('all' in expr || 'any' in expr) {
+            const key = 'all' in expr ? 'all' : 'any';
+            this.checkExactKeys(expr, [key], where, errors);
+            if (!Array.isArray(expr[key]) || expr[key].length === 0) {
+                errors.push(`${where}.${key}: must be a non-empty array`);
+                return;
+            }
+            expr[key].forEach((child, i) => this.validateExpression(child, `${where}.${key}[${i}]`, errors));
+            return;
+        }
+
+        if ('not' in expr) {
+            this.checkExactKeys(expr, ['not'], where, errors);
+            this.validateExpression(expr.not, `${where}.not`, errors);
+            return;
+        }
+
+        if ('segment' in expr) {
+            this.checkExactKeys(expr, ['segment'], where, errors);
+            this.validateSegment(expr.segment, `${where}.segment`, errors);
+            return;
+        }
+
+        if ('condition' in expr) {
+            this.checkExactKeys(expr, ['condition', 'params'], where, errors);
+            this.validateCondition(expr, where, errors);
+            return;
+        }
+
+        if ('metric' in expr) {
+            this.checkExactKeys(expr, ['metric', 'op', 'value'], where, errors);
+            this.validateMetric(expr.metric, `${where}.metric`, errors);
+            if (!RuleCompiler.OPERATORS[expr.op]) {
+                errors.push(`${where}.op: unknown operator "${expr.op}" (use ${Object.keys(RuleCompiler.OPERATORS).join(' ')})`);
+            }
+            this.validateOperand(expr.value, `${where}.value`, errors);
+            return;
+        }
+
+        errors.push(`${where}: expected one of "all", "any", "not", "segment", "condition" or "metric" (got ${Object.keys(expr).join(', ') || 'nothing'})`);
+    }
+
+    validateOperand(value, where, errors) {
+        if (value === undefined) {
+            errors.push(`${where}: missing comparison value`);
+            return;
+        }
+
+        if (value && typeof value === 'object') {
+            this.checkExactKeys(value, ['metric', 'offset'], where, errors);
+            this.validateMetric(value.metric, `${where}.metric`, errors);
+            if (value.offset !== undefined && typeof value.offset !== 'number') {
+                errors.push(`${where}.offset: must be a number`);
+            }
+        }
+    }
+
+    validateMetric(metric, where, errors) {
+        if (typeof metric !== 'string' || !metric) {
+            errors.push(`${where}: must be a metric name or data path`);
+            return;
+        }
+
+        if (!this.metrics[metric] && this.resolvePath(this.dataShape, metric) === undefined) {
+            errors.push(`${where}: unknown metric "${metric}"`);
+        }
+    }
+
+    validateSegment(segment, where, errors) {
+        if (typeof segment !== 'string' || !segment) {
+            errors.push(`${where}: must be a segment name`);
+        } else if (!this.segments) {
+            errors.push(`${where}: segments are not available to these rules`);
+        } else if (!this.segments.isKnownSegment(segment)) {
+            errors.push(`${where}: unknown segment "${segment}"`);
+        }
+    }
+
+    validateCondition(expr, where, errors) {
+        const definition = this.conditions[expr.condition];
+        if (!definition) {
+            const known = Object.keys(this.conditions).join(', ') || 'none';
+            errors.push(`${where}.condition: unknown condition "${expr.condition}" (registered: ${known})`);
+            return;
+        }
+
+        const params = expr.params || {};
+        if (typeof params !== 'object' || Array.isArray(params)) {
+            errors.push(`${where}.params: must be an object`);
+            return;
+        }
+
+        const allowed = definition.params || [];
+        Object.keys(params).forEach(key => {
+            if (!allowed.includes(key)) {
+                const hint = allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (condition takes no params)';
+                errors.push(`${where}.params: unknown param "${key}" for condition "${expr.condition}"${hint}`);
+            }
+        });
+    }
+
+    checkExactKeys(obj, allowed, where, errors) {
+        Object.keys(obj).forEach(key => {
+            if (!allowed.includes(key)) {
+                errors.push(`${where}: unknown field "${key}"`);
+            }
+        });
+    }
+
+    // What the condition reads, plus anything the rule declares in dependsOn (for conditions
+    // that look at more than their expression shows)
+    collectDependencies(rule) {
+        const dependencies = new Set(rule.dependsOn || []);
+        const visit = (expr) => {
+            if (expr.all || expr.any) {
+                (expr.all || expr.any).forEach(visit);
+            } else if (expr.not) {
+                visit(expr.not);
+            } else if (expr.segment) {
+                this.segments.getSegmentDependencies().forEach(path => dependencies.add(path));
+            } else if (expr.condition) {
+                (this.conditions[expr.condition].dependsOn || ['*']).forEach(path => dependencies.add(path));
+            } else {
+                [expr.metric, expr.value && typeof expr.value === 'object' ? expr.value.metric : null]
+                    .filter(Boolean)
+                    .forEach(metric => this.metricPaths(metric).forEach(path => dependencies.add(path)));
+            }
+        };
+        visit(rule.when);
+        return dependencies.has('*') ? ['*'] : Array.from(dependencies);
+    }
+
+    metricPaths(metric) {
+        if (!this.metrics[metric]) {
+            return [metric];
+        }
+        return this.metricDependencies[metric] || ['*'];
+    }
+
+    compileExpression(expr) {
+        if (expr.all) {
+            const children = expr.all.map(child => this.compileExpression(child));
+            return (data) => children.every(child => child(data));
+        }
+
+        if (expr.any) {
+            const children = expr.any.map(child => this.compileExpression(child));
+            return (data) => children.some(child => child(data));
+        }
+
+        if (expr.not) {
+            const child = this.compileExpression(expr.not);
+            return (data) => !child(data);
+        }
+
+        if (expr.segment) {
+            return (data) => this.segments.getSegments(data).includes(expr.segment);
+        }
+
+        if (expr.condition) {
+            const test = this.conditions[expr.condition].test;
+            const params = { ...(expr.params || {}) };
+            return (data) => !!test(data, params);
+        }
+
+        const compare = RuleCompiler.OPERATORS[expr.op];
+        const left = this.compileOperand({ metric: expr.metric });
+        const right = this.compileOperand(expr.value);
+        return (data) => compare(left(data), right(data));
+    }
+
+    compileOperand(value) {
+        if (!value || typeof value !== 'object') {
+            return () => value;
+        }
+
+        const offset = value.offset || 0;
+        const computed = this.metrics[value.metric];
+        if (computed) {
+            return (data) => computed(data) + offset;
+        }
+
+        return (data) => {
+            const resolved = this.resolvePath(data, value.metric);
+            return offset && typeof resolved === 'number' ? resolved + offset : resolved;
+        };
+    }
+
+    resolvePath(obj, path) {
+        return path.split('.').reduce((current, key) =>
+            current !== null && current !== undefined ? current[key] : undefined, obj);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RuleCompiler, RuleConfigError };
+}
@@ -0,0 +1,125 @@
+// Reference Analytics Collector
+// Receives batches from AnalyticsBeacon and appends each event as one NDJSON line.
+// No dependencies, for local testing:
+//
+//   node server/collector.js
+//   <html data-analytics-endpoint="http://localhost:8787/collect">
+//
+// Environment: PORT (8787), OUTPUT_FILE (server/data/events.ndjson), ALLOWED_ORIGIN (*)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const OUTPUT_FILE = process.env.OUTPUT_FILE || path.join(__dirname, 'data', 'events.ndjson');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_EVENTS_PER_BATCH = 500;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Beacons arrive as text/plain, fetch uploads as application/json; both carry the same JSON
+function parseBatch(body) {
+    let batch;
+    try {
+        batch = JSON.parse(body);
+    } catch (e) {
+        throw Object.assign(new Error('Body is not valid JSON'), { status: 400 });
+    }
+
+    if (!batch || !Array.isArray(batch.events)) {
+        throw Object.assign(new Error('Expected { sessionId, events: [...] }'), { status: 400 });
+    }
+    if (batch.events.length > MAX_EVENTS_PER_BATCH) {
+        throw Object.assign(new Error(`At most ${MAX_EVENTS_PER_BATCH} events per batch`), { status: 413 });
+    }
+
+    return batch;
+}
+
+function appendEvents(batch) {
+    const receivedAt = new Date().toISOString();
+    const lines = batch.events
+        .filter(event => event && typeof event === 'object' && typeof event.type === 'string')
+        // The server's fields go last so an event can't overwrite them
+        .map(event => JSON.stringify({
+            ...event,
+            receivedAt,
+            sessionId: String(batch.sessionId || ''),
+            page: String(batch.page || '')
+        }));
+
+    if (lines.length === 0) {
+        return Promise.resolve(0);
+    }
+
+    return fs.promises.mkdir(path.dirname(OUTPUT_FILE), { recursive: true })
+        .then(() => fs.promises.appendFile(OUTPUT_FILE, lines.join('\n') + '\n'))
+        .then(() => lines.length);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, { ok: true });
+        return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/collect') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    try {
+        const batch = parseBatch(await readBody(req));
+        const stored = await appendEvents(batch);
+        send(res, 200, { stored });
+    } catch (e) {
+        const status = e.status || 500;
+        if (status === 500) {
+            console.error('Could not store analytics batch:', e);
+        }
+        send(res, status, { error: e.message });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Analytics collector listening on http://localhost:${PORT}/collect`);
+        console.log(`Writing events to ${OUTPUT_FILE}`);
+    });
+}
+
+module.exports = { server, parseBatch, appendEvents };
@@ -0,0 +1,202 @@
+// Reference Contact Handler
+// Receives messages from ContactForm and appends each one as an NDJSON line.
+// No dependencies, for local testing:
+//
+//   node server/contact.js
+//   <html data-contact-endpoint="http://localhost:8788/contact">
+//
+// Environment: PORT (8788), OUTPUT_FILE (server/data/messages.ndjson), ALLOWED_ORIGIN (*),
+// RATE_LIMIT (5 messages per client per RATE_WINDOW_MS, default 10 minutes)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8788;
+const OUTPUT_FILE = process.env.OUTPUT_FILE || path.join(__dirname, 'data', 'messages.ndjson');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const RATE_LIMIT = parseInt(process.env.RATE_LIMIT, 10) || 5;
+const RATE_WINDOW_MS = parseInt(process.env.RATE_WINDOW_MS, 10) || 10 * 60 * 1000;
+const MAX_BODY_BYTES = 32 * 1024;
+const MIN_FILL_TIME_MS = 3000;
+
+// Same rules as ContactForm in the browser; the server never trusts the client's checks
+const LIMITS = { name: [2, 100], email: [3, 254], message: [10, 5000] };
+const SUBJECTS = ['evolution', 'ai', 'consulting', 'other'];
+
+const submissions = new Map();
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Field errors are codes (required, invalidEmail, invalidSubject, tooShort, tooLong);
+// ContactForm turns them into messages in the visitor's language
+function validateMessage(body) {
+    const fields = {};
+    const value = key => (typeof body[key] === 'string' ? body[key].trim() : '');
+
+    ['name', 'email', 'subject', 'message'].forEach(key => {
+        if (!value(key)) {
+            fields[key] = 'required';
+        }
+    });
+
+    if (!fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value('email'))) {
+        fields.email = 'invalidEmail';
+    }
+    if (!fields.subject && !SUBJECTS.includes(value('subject'))) {
+        fields.subject = 'invalidSubject';
+    }
+    Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+        if (fields[key]) return;
+        if (value(key).length < min) {
+            fields[key] = 'tooShort';
+        } else if (value(key).length > max) {
+            fields[key] = 'tooLong';
+        }
+    });
+
+    return fields;
+}
+
+// Only the coarse fields the browser's engagement summary contains, nothing else is stored
+function sanitizeSummary(summary) {
+    if (!summary || typeof summary !== 'object') {
+        return null;
+    }
+
+    const number = value => (typeof value === 'number' && isFinite(value) ? Math.round(value) : 0);
+    const names = value => (Array.isArray(value) ? value : [])
+        .filter(name => typeof name === 'string')
+        .slice(0, 10)
+        .map(name => name.slice(0, 50));
+
+    return {
+        visits: number(summary.visits),
+        engagementScore: number(summary.engagementScore),
+        scrollDepth: number(summary.scrollDepth),
+        topSections: names(summary.topSections),
+        projectsViewed: names(summary.projectsViewed)
+    };
+}
+
+// Honeypot filled or sent faster than a person can type
+function isSpam(body) {
+    return !!body.website || typeof body.elapsed !== 'number' || body.elapsed < MIN_FILL_TIME_MS;
+}
+
+function isRateLimited(client, now = Date.now()) {
+    const recent = (submissions.get(client) || []).filter(time => time > now - RATE_WINDOW_MS);
+    submissions.set(client, recent);
+    return recent.length >= RATE_LIMIT;
+}
+
+function recordSubmission(client, now = Date.now()) {
+    submissions.set(client, [...(submissions.get(client) || []), now]);
+}
+
+function appendMessage(body) {
+    const line = JSON.stringify({
+        receivedAt: new Date().toISOString(),
+        name: body.name.trim(),
+        email: body.email.trim(),
+        subject: body.subject.trim(),
+        message: body.message.trim(),
+        engagementSummary: sanitizeSummary(body.engagementSummary)
+    });
+
+    return fs.promises.mkdir(path.dirname(OUTPUT_FILE), { recursive: true })
+        .then(() => fs.promises.appendFile(OUTPUT_FILE, line + '\n'));
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        ...headers
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, { ok: true });
+        return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/contact') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const client = req.socket.remoteAddress || 'unknown';
+    if (isRateLimited(client)) {
+        send(res, 429, { error: 'Too many messages' }, { 'Retry-After': String(Math.ceil(RATE_WINDOW_MS / 1000)) });
+        return;
+    }
+
+    try {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (e) {
+            if (e.status) throw e;
+            throw Object.assign(new Error('Body is not valid JSON'), { status: 400 });
+        }
+        if (!body || typeof body !== 'object') {
+            throw Object.assign(new Error('Expected a JSON object'), { status: 400 });
+        }
+
+        const fields = validateMessage(body);
+        if (Object.keys(fields).length > 0) {
+            send(res, 422, { error: 'Invalid message', fields });
+            return;
+        }
+
+        recordSubmission(client);
+
+        // Answer spam like a success so bots learn nothing, but don't store it
+        if (!isSpam(body)) {
+            await appendMessage(body);
+        }
+        send(res, 200, { ok: true });
+    } catch (e) {
+        const status = e.status || 500;
+        if (status === 500) {
+            console.error('Could not store contact message:', e);
+        }
+        send(res, status, { error: e.message });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Contact handler listening on http://localhost:${PORT}/contact`);
+        console.log(`Writing messages to ${OUTPUT_FILE}`);
+    });
+}
+
+module.exports = { server, validateMessage, isSpam, sanitizeSummary };
@@ -0,0 +1,271 @@
+// Storage Module
+// One persistence layer for every module: swappable backends, schema versions with
+// migrations, and compaction when the backend runs out of space.
+//
+// Adapters store JSON-serializable values and implement getItem/setItem/removeItem.
+// All of them expose a `ready` promise; IndexedDB hydrates an in-memory mirror first,
+// so reads stay synchronous once it resolves.
+class StorageAdapter {
+    constructor() {
+        this.ready = Promise.resolve();
+    }
+
+    getItem() {
+        throw new Error(`${this.constructor.name} must implement getItem()`);
+    }
+
+    setItem() {
+        throw new Error(`${this.constructor.name} must implement setItem()`);
+    }
+
+    removeItem() {
+        throw new Error(`${this.constructor.name} must implement removeItem()`);
+    }
+
+    static get TYPES() {
+        return ['localStorage', 'sessionStorage', 'indexedDB', 'memory'];
+    }
+
+    // Falls back to memory when the requested backend is unavailable (private mode, blocked cookies)
+    static create(type = 'localStorage') {
+        try {
+            switch (type) {
+                case 'localStorage':
+                    return new WebStorageAdapter(window.localStorage);
+                case 'sessionStorage':
+                    return new WebStorageAdapter(window.sessionStorage);
+                case 'indexedDB':
+                    return new IndexedDBStorageAdapter();
+                case 'memory':
+                    return new MemoryStorageAdapter();
+                default:
+                    console.warn(`Unknown storage type "${type}", using memory storage.`);
+                    return new MemoryStorageAdapter();
+            }
+        } catch (e) {
+            console.warn(`Storage "${type}" is unavailable, using memory storage:`, e);
+            return new MemoryStorageAdapter();
+        }
+    }
+}
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? JSON.parse(this.items.get(key)) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, JSON.stringify(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+class WebStorageAdapter extends StorageAdapter {
+    constructor(storage) {
+        super();
+        if (!storage) {
+            throw new Error('Web Storage is not available');
+        }
+        this.storage = storage;
+    }
+
+    getItem(key) {
+        const saved = this.storage.getItem(key);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(dbName = 'portfolio', storeName = 'keyval') {
+        super();
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+        this.storeName = storeName;
+        this.cache = new Map();
+        this.ready = this.open(dbName).then(db => {
+            this.db = db;
+            return this.hydrate();
+        });
+    }
+
+    open(dbName) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    hydrate() {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    // Resolves once the write is durable; rejects with the transaction error (e.g. QuotaExceededError)
+    setItem(key, value) {
+        this.cache.set(key, value);
+        return this.transact(store => store.put(value, key));
+    }
+
+    removeItem(key) {
+        this.cache.delete(key);
+        return this.transact(store => store.delete(key));
+    }
+
+    transact(operation) {
+        return this.ready.then(() => new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+}
+
+class PersistentStore {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.schemas = {};
+        this.ready = adapter.ready.catch(e => {
+            console.warn('Storage backend failed to load, using memory storage:', e);
+            this.adapter = new MemoryStorageAdapter();
+        });
+    }
+
+    // schema: { version, migrations: { [toVersion]: (data) => data }, compact: (data) => smallerData | null }
+    registerSchema(key, schema) {
+        this.schemas[key] = { version: 1, migrations: {}, ...schema };
+    }
+
+    getSchema(key) {
+        return this.schemas[key] || { version: 1, migrations: {} };
+    }
+
+    read(key) {
+        let saved;
+        try {
+            saved = this.adapter.getItem(key);
+        } catch (e) {
+            console.warn(`Could not load ${key}:`, e);
+            return null;
+        }
+
+        if (saved === null || saved === undefined) {
+            return null;
+        }
+
+        // Values written before versioning existed are raw data at version 0
+        const isEnvelope = typeof saved === 'object' && 'schemaVersion' in saved && 'data' in saved;
+        const version = isEnvelope ? saved.schemaVersion : 0;
+        const data = isEnvelope ? saved.data : saved;
+
+        const schema = this.getSchema(key);
+        if (version === schema.version) {
+            return data;
+        }
+
+        if (version > schema.version) {
+            console.warn(`${key} was saved by a newer version (schema ${version}), ignoring it.`);
+            return null;
+        }
+
+        const migrated = this.migrate(key, data, version, schema);
+        this.write(key, migrated);
+        return migrated;
+    }
+
+    migrate(key, data, fromVersion, schema) {
+        let migrated = data;
+        for (let version = fromVersion + 1; version <= schema.version; version++) {
+            const migration = schema.migrations[version];
+            if (migration) {
+                migrated = migration(migrated);
+            }
+        }
+        return migrated;
+    }
+
+    write(key, data) {
+        const envelope = { schemaVersion: this.getSchema(key).version, data };
+        try {
+            const result = this.adapter.setItem(key, envelope);
+            if (result && typeof result.then === 'function') {
+                return result.then(() => true, error => this.handleWriteError(key, data, error));
+            }
+            return true;
+        } catch (error) {
+            return this.handleWriteError(key, data, error);
+        }
+    }
+
+    // Out of space: shrink the value with the key's compactor and try again until it fits
+    handleWriteError(key, data, error) {
+        const compact = this.getSchema(key).compact;
+        if (this.isQuotaError(error) && compact) {
+            const smaller = compact(data);
+            if (smaller) {
+                console.warn(`Storage quota exceeded for ${key}, compacting and retrying.`);
+                return this.write(key, smaller);
+            }
+        }
+
+        console.warn(`Could not save ${key}:`, error);
+        return false;
+    }
+
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22);
+    }
+
+    remove(key) {
+        try {
+            const result = this.adapter.removeItem(key);
+            if (result && typeof result.then === 'function') {
+                result.catch(e => console.warn(`Could not clear ${key}:`, e));
+            }
+        } catch (e) {
+            console.warn(`Could not clear ${key}:`, e);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageAdapter, MemoryStorageAdapter, WebStorageAdapter, IndexedDBStorageAdapter, PersistentStore };
+}
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers');
+
+// fetch holds every upload until release() is called, and records what was posted
+function deferredFetch() {
+    const uploads = [];
+    const waiting = [];
+    const fetch = async (url, options) => {
+        uploads.push(JSON.parse(options.body).events);
+        await new Promise(resolve => waiting.push(resolve));
+        return { ok: true, status: 200 };
+    };
+    const release = async () => {
+        waiting.splice(0).forEach(resolve => resolve());
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return { fetch, uploads, release };
+}
+
+async function setup(options = {}) {
+    const env = await createEnvironment();
+    const { fetch, uploads, release } = deferredFetch();
+    const beacons = [];
+    global.fetch = fetch;
+    env.window.navigator.sendBeacon = (url, body) => {
+        beacons.push(body);
+        return true;
+    };
+    const beacon = new AnalyticsBeacon({
+        endpoint: 'http://localhost:8787/collect',
+        consent: env.consent,
+        storage: env.storage,
+        clock: env.clock,
+        ...options
+    });
+    const hidePage = () => {
+        Object.defineProperty(env.document, 'visibilityState', { value: 'hidden', configurable: true });
+        env.document.dispatchEvent(new env.window.Event('visibilitychange'));
+    };
+    const beaconed = async () => (await Promise.all(beacons.map(body => body.text())))
+        .map(text => JSON.parse(text).events);
+    return { env, beacon, uploads, release, hidePage, beaconed };
+}
+
+const realFetch = global.fetch;
+test.afterEach(() => {
+    global.fetch = realFetch;
+});
+
+test('events queued behind an upload go with the beacon when the page is hidden, each once', async () => {
+    const { beacon, uploads, release, hidePage, beaconed } = await setup({ batchSize: 2 });
+    const events = Array.from({ length: 5 }, (_, n) => ({ type: 'click', n }));
+
+    events.forEach(event => beacon.enqueue(event));
+    assert.deepEqual(uploads, [events.slice(0, 2)]);
+
+    hidePage();
+    await release();
+
+    const sent = [...uploads.flat(), ...(await beaconed()).flat()].map(event => event.n);
+    assert.deepEqual(sent.sort(), [0, 1, 2, 3, 4]);
+    assert.deepEqual(beacon.queue, []);
+});
+
+test('a destroyed beacon no longer uploads on its interval', async () => {
+    const { env, beacon, uploads } = await setup({ flushInterval: 15000 });
+    beacon.enqueue({ type: 'click', n: 0 });
+
+    beacon.destroy();
+    env.advance(60000);
+
+    assert.deepEqual(uploads, []);
+    assert.equal(env.storage.read('analyticsQueue').length, 1);
+});
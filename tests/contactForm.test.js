@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers');
+
+const VALID = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    subject: 'consulting',
+    message: 'I would like to talk about a new project.'
+};
+
+// fetch answers with the given status and body, and records what was posted
+function respondWith(status, body) {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, payload: JSON.parse(options.body) });
+        return { ok: status >= 200 && status < 300, status, json: async () => body };
+    };
+    return { fetch, requests };
+}
+
+async function setup({ fetch = respondWith(200, { ok: true }).fetch, getSummary = null } = {}) {
+    const env = await createEnvironment();
+    const notices = [];
+    const sent = [];
+    global.fetch = fetch;
+    const form = new ContactForm({
+        form: env.document.querySelector('.contact-form'),
+        endpoint: 'http://localhost:8788/contact',
+        storage: env.storage,
+        i18n: env.i18n,
+        clock: env.clock,
+        notify: (message, type) => notices.push({ message, type }),
+        onSent: payload => sent.push(payload),
+        getSummary
+    });
+    const fill = values => Object.entries(values).forEach(([field, value]) => {
+        env.document.querySelector(`[name="${field}"]`).value = value;
+    });
+    return { env, form, notices, sent, fill };
+}
+
+const realFetch = global.fetch;
+test.afterEach(() => {
+    global.fetch = realFetch;
+});
+
+test('every field is required', async () => {
+    const { env, form } = await setup();
+
+    const errors = form.validate({ name: '', email: '', subject: '', message: '' });
+
+    assert.deepEqual(Object.keys(errors), ['name', 'email', 'subject', 'message']);
+    assert.equal(errors.name, env.i18n.t('form.required'));
+});
+
+test('email addresses, subjects and lengths are checked', async () => {
+    const { env, form } = await setup();
+
+    assert.equal(form.validateField('email', 'ada@example'), env.i18n.t('form.invalidEmail'));
+    assert.equal(form.validateField('email', 'ada @example.com'), env.i18n.t('form.invalidEmail'));
+    assert.equal(form.validateField('email', VALID.email), null);
+    assert.equal(form.validateField('subject', 'free-lunch'), env.i18n.t('form.invalidSubject'));
+    assert.equal(form.validateField('subject', 'ai'), null);
+    assert.equal(form.validateField('name', 'A'), 'Please use at least 2 characters.');
+    assert.equal(form.validateField('message', 'x'.repeat(5001)), 'Please keep this under 5,000 characters.');
+    assert.deepEqual(form.validate(VALID), {});
+});
+
+test('invalid fields are marked and described for assistive technology', async () => {
+    const { env, form, notices, fill } = await setup();
+    fill({ ...VALID, email: 'not-an-email' });
+    env.advance(5000);
+
+    assert.equal(await form.submit(), false);
+
+    const email = env.document.getElementById('email');
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.equal(env.document.getElementById(email.getAttribute('aria-describedby')).textContent, env.i18n.t('form.invalidEmail'));
+    assert.equal(env.document.activeElement, email);
+    assert.deepEqual(notices, [{ message: env.i18n.t('form.fixFields'), type: 'error' }]);
+
+    email.value = VALID.email;
+    email.dispatchEvent(new env.window.Event('input'));
+    assert.equal(email.hasAttribute('aria-invalid'), false);
+    assert.equal(env.document.getElementById('email-error'), null);
+});
+
+test('a valid message is posted, counted and the form cleared', async () => {
+    const { fetch, requests } = respondWith(200, { ok: true });
+    const { env, form, sent, fill } = await setup({ fetch });
+    fill(VALID);
+    env.advance(5000);
+
+    assert.equal(await form.submit(), true);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].payload.email, VALID.email);
+    assert.equal(requests[0].payload.elapsed, 5000);
+    assert.equal(sent.length, 1);
+    assert.equal(env.document.getElementById('name').value, '');
+    assert.equal(env.storage.read('contactSubmissions').length, 1);
+});
+
+test('messages sent faster than a person could type are held back', async () => {
+    const { fetch, requests } = respondWith(200, { ok: true });
+    const { env, form, notices, fill } = await setup({ fetch });
+    fill(VALID);
+    env.advance(1000);
+
+    assert.equal(await form.submit(), false);
+    assert.equal(requests.length, 0);
+    assert.equal(notices[0].message, env.i18n.t('form.tooQuick'));
+});
+
+test('a filled honeypot looks like success but sends nothing', async () => {
+    const { fetch, requests } = respondWith(200, { ok: true });
+    const { env, form, notices, fill } = await setup({ fetch });
+    fill({ ...VALID, website: 'http://spam.example' });
+    env.advance(5000);
+
+    assert.equal(await form.submit(), false);
+    assert.equal(requests.length, 0);
+    assert.deepEqual(notices, [{ message: env.i18n.t('form.sent'), type: 'success' }]);
+});
+
+test('visitors are limited to a few messages per hour', async () => {
+    const { env, form, notices, fill } = await setup();
+    for (let i = 0; i < 3; i++) {
+        fill(VALID);
+        env.advance(5000);
+        assert.equal(await form.submit(), true);
+    }
+
+    fill(VALID);
+    env.advance(5000);
+    assert.equal(await form.submit(), false);
+    assert.equal(notices.at(-1).type, 'warning');
+    assert.match(notices.at(-1).message, /try again in 60 minutes/);
+
+    env.advance(60 * 60 * 1000);
+    assert.equal(await form.submit(), true);
+});
+
+test('field errors from the server are shown on the matching fields, in the visitor\'s language', async () => {
+    const { fetch } = respondWith(422, { ok: false, fields: { email: 'invalidEmail', message: 'tooShort', name: 'spammy' } });
+    const { env, form, fill } = await setup({ fetch });
+    fill(VALID);
+    env.advance(5000);
+
+    assert.equal(await form.submit(), false);
+    assert.equal(env.document.getElementById('email-error').textContent, env.i18n.t('form.invalidEmail'));
+    assert.equal(env.document.getElementById('message-error').textContent, env.i18n.t('form.tooShort', { count: 10 }));
+    // A code the client doesn't know still marks the field
+    assert.equal(env.document.getElementById('name-error').textContent, env.i18n.t('form.invalid'));
+});
+
+test('a message that fails to send is kept as a draft and restored on the next visit', async () => {
+    const failing = async () => {
+        throw new TypeError('Failed to fetch');
+    };
+    const { env, form, notices, fill } = await setup({ fetch: failing });
+    fill(VALID);
+    env.advance(5000);
+
+    assert.equal(await form.submit(), false);
+    assert.equal(notices.at(-1).message, env.i18n.t('form.savedOffline'));
+    const draft = env.storage.read('contactDraft');
+    assert.deepEqual(draft.values, VALID);
+    assert.equal(draft.pending, true);
+
+    // Still offline on the next visit, so it stays a draft in the form
+    const reloaded = await createEnvironment({ storage: env.storage, clock: env.clock });
+    global.fetch = failing;
+    new ContactForm({
+        form: reloaded.document.querySelector('.contact-form'),
+        endpoint: 'http://localhost:8788/contact',
+        storage: reloaded.storage,
+        i18n: reloaded.i18n,
+        clock: reloaded.clock
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(reloaded.document.getElementById('message').value, VALID.message);
+    assert.equal(reloaded.document.getElementById('subject').value, VALID.subject);
+});
+
+test('the engagement summary stays out of the draft and is only resent while tracking is allowed', async () => {
+    const requests = [];
+    let online = false;
+    const fetch = async (url, options) => {
+        requests.push(JSON.parse(options.body));
+        if (!online) throw new TypeError('Failed to fetch');
+        return { ok: true, status: 200, json: async () => ({ ok: true }) };
+    };
+    let tracking = true;
+    const { env, form, fill } = await setup({ fetch, getSummary: () => (tracking ? { topSection: 'projects' } : null) });
+    fill(VALID);
+    form.updateSummaryOption();
+    env.document.querySelector('[name="shareSummary"]').checked = true;
+    env.advance(5000);
+
+    assert.equal(await form.submit(), false);
+    assert.deepEqual(requests[0].engagementSummary, { topSection: 'projects' });
+    assert.deepEqual(env.storage.read('contactDraft').values, VALID);
+
+    // Tracking was switched off before the connection came back
+    tracking = false;
+    online = true;
+    env.window.dispatchEvent(new env.window.Event('online'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].engagementSummary, undefined);
+    assert.equal(requests[1].email, VALID.email);
+    assert.equal(env.storage.read('contactDraft'), null);
+});
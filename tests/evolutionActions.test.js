@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, rulesConfig } = require('./helpers');
+
+const REDUCED_MOTION = { '(prefers-reduced-motion: reduce)': true };
+
+// Applies one action through a rule, the way the engine would, and returns what tests need
+// to look at the page before and after reverting it
+async function applyAction(action, { params, media = REDUCED_MOTION, prepare = () => {}, engineOptions = () => ({}) } = {}) {
+    const env = await createEnvironment({ media });
+    const tracker = env.createTracker();
+    prepare(tracker, env);
+    const engine = env.createEngine(tracker, {
+        rules: rulesConfig([{
+            name: 'under_test',
+            when: { metric: 'visitCount', op: '>', value: 0 },
+            action: params ? { name: action, params } : { name: action },
+            cooldown: 0
+        }]),
+        ...engineOptions(env)
+    });
+    engine.checkEvolutionRules();
+    return {
+        env,
+        tracker,
+        engine,
+        document: env.document,
+        applied: engine.currentEvolutions.has('under_test'),
+        revert: () => engine.revertEvolution('under_test')
+    };
+}
+
+const sectionOrder = document => Array.from(document.querySelectorAll('section[data-section]')).map(section => section.id);
+const cardOrder = document => Array.from(document.querySelectorAll('.projects-grid .project-card')).map(card => card.dataset.project);
+
+test('moveProjectsUp puts the projects section before about', async () => {
+    const { document, applied, revert } = await applyAction('moveProjectsUp');
+
+    assert.ok(applied);
+    assert.deepEqual(sectionOrder(document), ['home', 'projects', 'about', 'contact']);
+
+    revert();
+    assert.deepEqual(sectionOrder(document), ['home', 'about', 'projects', 'contact']);
+});
+
+test('moveProjectsUp fades the sections out and back in when motion is allowed', async () => {
+    const { env, document } = await applyAction('moveProjectsUp', { media: {} });
+    const projects = document.getElementById('projects');
+
+    assert.equal(projects.style.opacity, '0');
+    assert.deepEqual(sectionOrder(document).slice(1, 3), ['about', 'projects']);
+
+    env.advance(300);
+    assert.deepEqual(sectionOrder(document).slice(1, 3), ['projects', 'about']);
+    env.advance(100);
+    assert.equal(projects.style.opacity, '1');
+});
+
+test('optimizeCTA recolors the primary buttons and relabels them from message keys', async () => {
+    const { env, document, applied, revert } = await applyAction('optimizeCTA');
+    const label = id => document.querySelector(`#${id} span`).textContent;
+    const primary = () => document.body.style.getPropertyValue('--primary');
+
+    assert.ok(applied);
+    assert.equal(primary(), '#047857');
+    assert.equal(label('contactHero'), env.i18n.t('cta.buildTogether'));
+    assert.equal(label('exploreProjects'), env.i18n.t('cta.seeMyWork'));
+    assert.equal(document.querySelector('.contact-form .btn-primary span').textContent, env.i18n.t('cta.sendNow'));
+
+    revert();
+    assert.equal(primary(), ThemeManager.PALETTES.light.tokens['--primary']);
+    assert.equal(label('contactHero'), env.i18n.t('hero.contact'));
+});
+
+test('optimizeCTA is refused when white text would be unreadable on the new color', async () => {
+    const { document, engine, applied } = await applyAction('optimizeCTA', { params: { primary: '#a7f3d0', primaryDark: '#6ee7b7' } });
+
+    assert.equal(applied, false);
+    assert.ok(engine.refusedEvolutions.has('under_test'));
+    assert.notEqual(document.body.style.getPropertyValue('--primary'), '#a7f3d0');
+});
+
+// The stock palettes keep white button text just under 4.5:1, which the engine refuses, so
+// these run on a dark palette whose primary passes the contrast checks
+function darkPaletteTheme(env) {
+    const accessibility = new AccessibilityManager();
+    const { dark } = ThemeManager.PALETTES;
+    const palettes = {
+        ...ThemeManager.PALETTES,
+        dark: { ...dark, tokens: { ...dark.tokens, '--primary': '#5850ec', '--primary-dark': '#4338ca' } }
+    };
+    return { accessibility, theme: new ThemeManager({ storage: env.storage, accessibility, palettes }) };
+}
+
+test('setDarkThemeDefault switches the page to the dark palette', async () => {
+    const { document, applied, revert } = await applyAction('setDarkThemeDefault', { engineOptions: darkPaletteTheme });
+
+    assert.ok(applied);
+    assert.ok(document.body.classList.contains('dark-theme'));
+
+    revert();
+    assert.equal(document.body.classList.contains('dark-theme'), false);
+});
+
+test('setDarkThemeDefault has nothing to do when the system is already dark', async () => {
+    const { document, engine } = await applyAction('setDarkThemeDefault', {
+        media: { '(prefers-color-scheme: dark)': true },
+        engineOptions: darkPaletteTheme
+    });
+
+    assert.ok(document.body.classList.contains('dark-theme'));
+    assert.equal(engine.theme.getLayers().size, 0);
+    // Nothing visible changed, so it costs no budget
+    assert.equal(engine.getBudget().spent, 0);
+});
+
+test('highlightPopularProject makes the most engaged-with project stand out', async () => {
+    const { document, revert } = await applyAction('highlightPopularProject', {
+        prepare: tracker => tracker.trackProjectClick('smart-layout')
+    });
+    const card = document.querySelector('.project-card[data-project="smart-layout"]');
+    const other = document.querySelector('.project-card[data-project="evolving-web"]');
+
+    assert.match(card.style.boxShadow, /rgba\(99, 102, 241/);
+    assert.equal(card.style.border, '2px solid var(--primary)');
+    assert.equal(other.style.boxShadow, '');
+    // No pulsing glow for visitors who prefer less motion
+    assert.equal(card.style.animation, '');
+
+    revert();
+    assert.equal(card.style.boxShadow, '');
+    assert.equal(card.style.border, '');
+});
+
+test('reorderProjects sorts the project grid by the visitor\'s interest', async () => {
+    const { document, revert } = await applyAction('reorderProjects', {
+        prepare: tracker => {
+            tracker.trackProjectCta('adaptive-ui');
+            tracker.trackProjectClick('smart-layout');
+        }
+    });
+
+    assert.deepEqual(cardOrder(document), ['adaptive-ui', 'smart-layout', 'evolving-web']);
+
+    revert();
+    assert.deepEqual(cardOrder(document), ['evolving-web', 'smart-layout', 'adaptive-ui']);
+});
+
+test('revealAdditionalContent adds the content block to the projects section', async () => {
+    const { document, revert } = await applyAction('revealAdditionalContent', { params: { block: 'process-insights' } });
+    const block = document.querySelector('#projects .evolution-content');
+
+    assert.ok(block);
+    assert.equal(block.dataset.contentId, 'process-insights');
+    assert.notEqual(block.textContent.trim(), '');
+
+    revert();
+    assert.equal(document.querySelector('.evolution-content'), null);
+});
+
+test('showEngagementReward shows a badge that goes away on its own', async () => {
+    const { env, document, engine } = await applyAction('showEngagementReward', { params: { duration: 2000 } });
+    const badge = document.querySelector('.engagement-badge');
+
+    assert.ok(badge);
+    assert.equal(badge.textContent.trim(), env.i18n.t('evolution.engagementBadge'));
+
+    env.advance(2600);
+    assert.equal(document.querySelector('.engagement-badge'), null);
+    // One-off, so nothing to replay on the next page load
+    assert.equal(engine.evolutionRules[0].persistent, false);
+});
+
+test('personalizeGreeting welcomes back returning visitors', async () => {
+    const { env, document, revert } = await applyAction('personalizeGreeting', {
+        prepare: tracker => {
+            tracker.getData().visitCount = 3;
+        }
+    });
+    const line = document.querySelectorAll('.hero-title .title-line')[1];
+
+    assert.equal(line.textContent, env.i18n.t('greeting.welcomeBack'));
+    assert.ok(line.classList.contains('gradient-text'));
+
+    revert();
+    assert.equal(line.textContent, env.i18n.t('hero.titleHighlight'));
+    assert.ok(line.classList.contains('gradient-text'));
+});
+
+test('personalizeGreeting leaves first-time visitors alone', async () => {
+    const { env, document } = await applyAction('personalizeGreeting');
+    const line = document.querySelectorAll('.hero-title .title-line')[1];
+
+    assert.equal(line.textContent, env.i18n.t('hero.titleHighlight'));
+});
+
+test('personalizeContactForm preselects the subject and suggests an opening line', async () => {
+    const { document, revert } = await applyAction('personalizeContactForm', {
+        prepare: tracker => tracker.trackProjectCta('smart-layout')
+    });
+    const subject = document.getElementById('subject');
+    const message = document.getElementById('message');
+    const suggestion = document.querySelector('.message-suggestion');
+
+    assert.equal(subject.value, 'ai');
+    assert.ok(suggestion);
+    assert.match(suggestion.querySelector('q').textContent, /Smart Layout/i);
+
+    suggestion.querySelector('.suggestion-use').click();
+    assert.match(message.value, /^Hi! I was looking at/);
+    assert.equal(document.querySelector('.message-suggestion'), null);
+
+    revert();
+    assert.equal(subject.value, '');
+});
+
+test('personalizeContactForm never overwrites what the visitor already chose', async () => {
+    const { document } = await applyAction('personalizeContactForm', {
+        prepare: (tracker, env) => {
+            tracker.trackProjectCta('smart-layout');
+            env.document.getElementById('subject').value = 'consulting';
+            env.document.getElementById('message').value = 'Already writing';
+        }
+    });
+
+    assert.equal(document.getElementById('subject').value, 'consulting');
+    assert.equal(document.getElementById('message').value, 'Already writing');
+    assert.equal(document.querySelector('.message-suggestion'), null);
+});
+
+test('enhanceInteractivity adds hover effects to the project cards', async () => {
+    const { env, document, revert } = await applyAction('enhanceInteractivity');
+    const card = document.querySelector('.project-card');
+
+    assert.equal(card.style.cursor, 'pointer');
+    card.dispatchEvent(new env.window.MouseEvent('mouseenter'));
+    assert.ok(card.classList.contains('enhanced-hover'));
+
+    revert();
+    assert.equal(card.style.cursor, '');
+    assert.equal(card.classList.contains('enhanced-hover'), false);
+    card.dispatchEvent(new env.window.MouseEvent('mouseenter'));
+    assert.equal(card.classList.contains('enhanced-hover'), false);
+});
@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, rulesConfig } = require('./helpers');
+
+const projectsRule = {
+    name: 'projects_first',
+    when: { metric: 'clicks.projects', op: '>', value: 2 },
+    action: { name: 'moveProjectsUp' },
+    cooldown: 30000
+};
+
+const greetingRule = {
+    name: 'greeting',
+    when: { metric: 'visitCount', op: '>', value: 2 },
+    action: { name: 'personalizeGreeting' },
+    cooldown: 0
+};
+
+async function setup(rules, options = {}) {
+    const env = await createEnvironment(options.environment);
+    const tracker = env.createTracker();
+    const engine = env.createEngine(tracker, { rules: rulesConfig(rules, options.config), ...options.engine });
+    return { env, tracker, engine };
+}
+
+function clickProjects(tracker, count) {
+    for (let i = 0; i < count; i++) {
+        tracker.trackClick('projects');
+    }
+}
+
+test('a rule fires once its condition holds', async () => {
+    const { tracker, engine } = await setup([projectsRule]);
+
+    clickProjects(tracker, 2);
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('projects_first'), false);
+
+    clickProjects(tracker, 1);
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('projects_first'), true);
+});
+
+test('conditions combine with all, any and not', async () => {
+    const { tracker, engine } = await setup([{
+        name: 'combined',
+        when: {
+            all: [
+                { any: [{ metric: 'clicks.cta', op: '>=', value: 2 }, { metric: 'clicks.contact', op: '>', value: 5 }] },
+                { not: { metric: 'clicks.about', op: '>', value: { metric: 'clicks.cta' } } }
+            ]
+        },
+        action: { name: 'personalizeGreeting' },
+        cooldown: 0
+    }]);
+    const rule = engine.evolutionRules[0];
+
+    tracker.trackClick('cta');
+    assert.equal(rule.condition(tracker.getRuleData()), false);
+    tracker.trackClick('cta');
+    assert.equal(rule.condition(tracker.getRuleData()), true);
+    tracker.trackClick('about');
+    tracker.trackClick('about');
+    tracker.trackClick('about');
+    assert.equal(rule.condition(tracker.getRuleData()), false);
+});
+
+test('session metrics only count the current session', async () => {
+    const { env, tracker, engine } = await setup([{
+        name: 'busy_session',
+        when: { metric: 'session.clicks.projects', op: '>=', value: 2 },
+        action: { name: 'personalizeGreeting' },
+        cooldown: 0
+    }]);
+    const rule = engine.evolutionRules[0];
+
+    clickProjects(tracker, 1);
+    env.advance(31 * 60 * 1000);
+    clickProjects(tracker, 1);
+
+    assert.equal(tracker.getData().clicks.projects, 2);
+    assert.equal(rule.condition(tracker.getRuleData()), false);
+});
+
+test('tracker changes trigger a debounced check of the rules that depend on them', async () => {
+    const { env, tracker, engine } = await setup([projectsRule], { engine: { autoStart: true } });
+
+    clickProjects(tracker, 3);
+    assert.equal(engine.currentEvolutions.has('projects_first'), false);
+
+    env.advance(1000);
+    assert.equal(engine.currentEvolutions.has('projects_first'), true);
+});
+
+test('a reverted rule waits for its cooldown before firing again', async () => {
+    const { env, tracker, engine } = await setup([projectsRule], {
+        environment: { media: { '(prefers-reduced-motion: reduce)': true } },
+        engine: { autoStart: true }
+    });
+    clickProjects(tracker, 3);
+    env.advance(1000);
+    assert.equal(engine.currentEvolutions.has('projects_first'), true);
+
+    engine.revertEvolution('projects_first');
+    env.advance(10000);
+    assert.equal(engine.currentEvolutions.has('projects_first'), false);
+
+    env.advance(25000);
+    assert.equal(engine.currentEvolutions.has('projects_first'), true);
+});
+
+test('a rejected rule never fires again', async () => {
+    const { env, tracker, engine } = await setup([projectsRule], { engine: { autoStart: true } });
+    clickProjects(tracker, 3);
+    env.advance(1000);
+
+    engine.rejectEvolution('projects_first');
+    clickProjects(tracker, 5);
+    env.advance(120000);
+
+    assert.equal(engine.currentEvolutions.has('projects_first'), false);
+    assert.ok(engine.rejectedEvolutions.has('projects_first'));
+});
+
+test('insights count the evolutions that were applied, not refusals or undos', async () => {
+    const { tracker, engine } = await setup([projectsRule, {
+        name: 'pale_cta',
+        when: { metric: 'visitCount', op: '>', value: 0 },
+        action: { name: 'optimizeCTA', params: { primary: '#a7f3d0', primaryDark: '#6ee7b7' } },
+        cooldown: 0
+    }], { environment: { media: { '(prefers-reduced-motion: reduce)': true } } });
+    clickProjects(tracker, 3);
+    engine.checkEvolutionRules();
+    engine.revertEvolution('projects_first');
+
+    assert.deepEqual(engine.getEvolutionHistory().map(event => event.type).sort(), ['applied', 'refused', 'reverted']);
+    assert.equal(engine.getEvolutionInsights().totalEvolutions, 1);
+});
+
+test('an evolution refused for keyboard order leaves no applied entry and no notice', async () => {
+    const env = await createEnvironment();
+    const jumpAhead = {
+        name: 'jump-ahead',
+        actions: {
+            jumpAhead: {
+                run(params, engine) {
+                    const link = env.document.querySelector('a[href]');
+                    link.setAttribute('tabindex', '1');
+                    engine.logEvolution('Link moved ahead in the tab order!');
+                    engine.showEvolutionNotice('evolution.interactivity');
+                    return () => link.removeAttribute('tabindex');
+                }
+            }
+        }
+    };
+    const engine = env.createEngine(env.createTracker(), {
+        rules: rulesConfig([{ name: 'jump', when: { metric: 'visitCount', op: '>', value: 0 }, action: { name: 'jumpAhead' }, cooldown: 0 }]),
+        plugins: [jumpAhead]
+    });
+
+    engine.checkEvolutionRules();
+
+    assert.equal(engine.currentEvolutions.has('jump'), false);
+    assert.equal(env.document.querySelector('[tabindex="1"]'), null);
+    assert.deepEqual(engine.getEvolutionHistory().map(event => event.type), ['refused']);
+    assert.equal(engine.getEvolutionInsights().totalEvolutions, 0);
+    assert.equal(env.document.getElementById('evolutionNotice').classList.contains('show'), false);
+});
+
+test('rules that change the same elements are never on the page together', async () => {
+    const { tracker, engine } = await setup([
+        { name: 'highlight', when: { metric: 'clicks.projects', op: '>', value: 0 }, action: { name: 'highlightPopularProject' }, priority: 1, cooldown: 0 },
+        { name: 'boost', when: { metric: 'clicks.projects', op: '>', value: 0 }, action: { name: 'enhanceInteractivity' }, cooldown: 0 }
+    ]);
+    tracker.trackProjectClick('smart-layout');
+
+    engine.checkEvolutionRules();
+    assert.deepEqual(Array.from(engine.currentEvolutions), ['highlight']);
+
+    engine.rejectEvolution('highlight');
+    engine.checkEvolutionRules();
+    assert.deepEqual(Array.from(engine.currentEvolutions), ['boost']);
+});
+
+test('the session budget caps how many evolutions apply', async () => {
+    const always = { metric: 'visitCount', op: '>', value: 0 };
+    const { env, tracker, engine } = await setup([
+        { name: 'first', when: always, action: { name: 'moveProjectsUp' }, priority: 2, cooldown: 0 },
+        { name: 'second', when: always, action: { name: 'showEngagementReward' }, priority: 1, cooldown: 0 },
+        { name: 'third', when: always, action: { name: 'enhanceInteractivity' }, cooldown: 0 }
+    ], { config: { budget: { perSession: 2 } } });
+
+    engine.checkEvolutionRules();
+    assert.deepEqual(Array.from(engine.currentEvolutions), ['first', 'second']);
+    assert.deepEqual(engine.getBudget(), { limit: 2, spent: 2, remaining: 0 });
+
+    env.advance(31 * 60 * 1000);
+    tracker.trackClick('about');
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('third'), true);
+});
+
+test('a bandit trial is rewarded when its window closes on the engine\'s clock', async () => {
+    const always = { metric: 'visitCount', op: '>', value: 0 };
+    const { env, tracker, engine } = await setup([
+        { name: 'first', when: always, action: { name: 'moveProjectsUp' }, cooldown: 0 },
+        { name: 'second', when: always, action: { name: 'enhanceInteractivity' }, cooldown: 0 }
+    ], {
+        environment: { media: { '(prefers-reduced-motion: reduce)': true } },
+        config: { bandit: { enabled: true, strategy: 'epsilon-greedy', epsilon: 0, rewardWindow: 60000 } }
+    });
+
+    engine.start();
+    assert.deepEqual(Array.from(engine.currentEvolutions), ['first']);
+    assert.equal(engine.bandit.getNextSettleTime(), env.clock.now() + 60000);
+
+    clickProjects(tracker, 5);
+    env.advance(59000);
+    assert.equal(engine.bandit.hasPendingTrial(), true);
+    assert.equal(engine.currentEvolutions.has('second'), false);
+
+    // The settle timer fires on the fake clock and the next arm gets its trial
+    env.advance(2000);
+    const [first] = engine.bandit.getStats();
+    assert.equal(first.arm, 'first');
+    assert.equal(first.pulls, 1);
+    assert.ok(first.meanReward > 0);
+    assert.ok(engine.currentEvolutions.has('second'));
+});
+
+test('nothing evolves without personalization consent', async () => {
+    const { env, tracker, engine } = await setup([projectsRule]);
+    env.consent.update({ personalization: false });
+
+    clickProjects(tracker, 5);
+    engine.checkEvolutionRules();
+
+    assert.equal(engine.currentEvolutions.size, 0);
+});
+
+test('applied evolutions and cooldowns survive a reload', async () => {
+    const first = await setup([projectsRule, greetingRule], {
+        environment: { media: { '(prefers-reduced-motion: reduce)': true } }
+    });
+    clickProjects(first.tracker, 3);
+    first.engine.checkEvolutionRules();
+    first.tracker.saveData();
+
+    const env = await createEnvironment({ storage: first.env.storage, clock: first.env.clock });
+    const engine = env.createEngine(env.createTracker(), { rules: rulesConfig([projectsRule, greetingRule]) });
+    engine.replayEvolutions();
+
+    assert.ok(engine.currentEvolutions.has('projects_first'));
+    assert.equal(engine.lastAppliedTimes.get('projects_first'), first.engine.lastAppliedTimes.get('projects_first'));
+    assert.equal(env.document.getElementById('projects').nextElementSibling.id, 'about');
+    // Replaying doesn't log the evolution a second time
+    assert.equal(engine.getEvolutionHistory().filter(entry => entry.rule === 'projects_first').length, 1);
+});
+
+test('starting puts the saved evolutions back before checking any rule', async () => {
+    const first = await setup([projectsRule], {
+        environment: { media: { '(prefers-reduced-motion: reduce)': true } }
+    });
+    clickProjects(first.tracker, 3);
+    first.engine.checkEvolutionRules();
+    first.tracker.saveData();
+
+    const env = await createEnvironment({ storage: first.env.storage, clock: first.env.clock });
+    const engine = env.createEngine(env.createTracker(), { rules: rulesConfig([projectsRule]), autoStart: true });
+
+    assert.equal(env.document.getElementById('projects').nextElementSibling.id, 'about');
+    assert.equal(engine.getEvolutionHistory().length, 1);
+
+    // Already replayed, so a second call changes nothing
+    engine.replayEvolutions();
+    assert.equal(env.document.getElementById('projects').nextElementSibling.id, 'about');
+    assert.equal(engine.getBudget().spent, first.engine.getBudget().spent);
+});
+
+test('an invalid rule config falls back to the built-in rules', async () => {
+    const env = await createEnvironment();
+    const engine = env.createEngine(env.createTracker(), {
+        rules: rulesConfig([{ name: 'broken', when: { metric: 'clicks.projects', op: '~', value: 1 }, action: { name: 'moveProjectsUp' } }])
+    });
+
+    assert.equal(engine.evolutionRules.some(rule => rule.name === 'broken'), false);
+    assert.ok(engine.evolutionRules.some(rule => rule.name === 'projects_priority'));
+});
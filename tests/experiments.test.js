@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers');
+
+// One exposure per visitor; converted lists the visitors who reached the goal
+function recordVisitors(experiments, variant, count, converted, options) {
+    for (let i = 0; i < count; i++) {
+        experiments.resetVisitor();
+        experiments.recordExposure('cta_test', variant, ['cta_click'], options);
+        if (i < converted) {
+            experiments.recordConversion('cta_click');
+        }
+    }
+}
+
+test('variants are compared to the one flagged as control, whatever its name', async () => {
+    const env = await createEnvironment();
+    const experiments = new ExperimentManager(env.storage, env.clock);
+    recordVisitors(experiments, 'original', 200, 20, { control: true });
+    recordVisitors(experiments, 'green', 200, 45);
+
+    const report = experiments.getReport().cta_test;
+
+    assert.equal(report.baseline, 'original');
+    const green = report.variants.find(row => row.variant === 'green');
+    assert.equal(green.conversionRate, 22.5);
+    assert.ok(green.zScore > 3);
+    assert.equal(green.significant, true);
+    assert.equal(report.variants.find(row => row.variant === 'original').zScore, undefined);
+});
+
+test('records without the control flag fall back to a variant named control', () => {
+    const records = [
+        { experiment: 'old', variant: 'control', conversions: {} },
+        { experiment: 'old', variant: 'b', conversions: { cta_click: 1 } }
+    ];
+
+    assert.equal(ExperimentManager.buildReport(records).old.baseline, 'control');
+});
@@ -0,0 +1,138 @@
+// Test Helpers
+// Loads the browser modules into Node the way the page's script tags would, on a fresh jsdom
+// copy of Index.html with a fake clock and in-memory storage for every test.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { createClock } = require('../tools/ruleSimulator');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'Index.html'), 'utf8');
+const CONTENT = require('../content.json');
+const MESSAGES = require('../locales/en.json');
+
+// Same order as Index.html
+const MODULES = [
+    'clock.js', 'storage.js', 'content.js', 'i18n.js', 'consentManager.js', 'analyticsBeacon.js',
+    'contactForm.js', 'visitorSegments.js', 'interactionTracker.js', 'ruleCompiler.js',
+    'evolutionRules.js', 'experiments.js', 'banditSelector.js', 'accessibility.js',
+    'themeManager.js', 'eventBus.js', 'evolutionEngine.js', 'projectModal.js', 'clickHeatmap.js',
+    'ownerDashboard.js', 'Main.js'
+];
+
+// What the modules expect to find as globals, copied from the current jsdom window
+const WINDOW_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'localStorage', 'sessionStorage', 'Node',
+    'HTMLElement', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'getComputedStyle',
+    'IntersectionObserver'
+];
+
+const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+
+MODULES.forEach(file => Object.assign(global, require(path.join(ROOT, file))));
+
+function setGlobal(name, value) {
+    Object.defineProperty(global, name, { value, configurable: true, writable: true });
+}
+
+// Visibility is driven by hand: intersect(element) tells every observer watching the element
+// that it scrolled into view, and showSection('projects') does the same for #projects
+function installIntersectionObserver(window) {
+    const observers = [];
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+            this.elements = new Set();
+            observers.push(this);
+        }
+
+        observe(element) {
+            this.elements.add(element);
+        }
+
+        unobserve(element) {
+            this.elements.delete(element);
+        }
+
+        disconnect() {
+            this.elements.clear();
+        }
+    };
+
+    return (target, isIntersecting = true) => {
+        observers.filter(observer => observer.elements.has(target))
+            .forEach(observer => observer.callback([{ target, isIntersecting }], observer));
+    };
+}
+
+// media: the queries that match, e.g. { '(prefers-reduced-motion: reduce)': true }
+function installMatchMedia(window, media) {
+    window.matchMedia = query => ({
+        media: query,
+        matches: !!media[query],
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+}
+
+// A page ready for the modules: rendered content, English messages, analytics consent given.
+// Pass storage to carry saved data over from an earlier environment (a "reload").
+async function createEnvironment({
+    url = 'http://localhost/',
+    referrer = '',
+    media = {},
+    storage = new PersistentStore(new MemoryStorageAdapter()),
+    clock = createClock(START),
+    consent = true
+} = {}) {
+    const dom = new JSDOM(PAGE, { url, referrer: referrer || undefined, pretendToBeVisual: true });
+    const { window } = dom;
+    const intersect = installIntersectionObserver(window);
+    installMatchMedia(window, media);
+    // jsdom has no layout, so there is nothing to scroll
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+    WINDOW_GLOBALS.forEach(name => setGlobal(name, window[name]));
+
+    const i18n = new I18n({ storage, catalogs: { en: MESSAGES } });
+    const content = new ContentModel(CONTENT);
+    await Promise.all([storage.ready, content.ready, i18n.ready]);
+    new ContentRenderer(content, i18n).render();
+
+    const consentManager = new ConsentManager(storage, clock);
+    if (consent) {
+        consentManager.grantAll();
+    }
+
+    return {
+        window,
+        document: window.document,
+        clock,
+        storage,
+        i18n,
+        content,
+        consent: consentManager,
+        intersect,
+        showSection: (id, isIntersecting = true) => intersect(window.document.getElementById(id), isIntersecting),
+        // Moves the fake clock forward, running whatever timers fall due on the way
+        advance: ms => clock.advanceTo(clock.now() + ms),
+        createTracker: () => new InteractionTracker(consentManager, storage, null, new VisitorSegments(), clock),
+        createEngine: (tracker, options = {}) => new EvolutionEngine(tracker, {
+            content,
+            i18n,
+            plugins: [],
+            autoStart: false,
+            ...options
+        }),
+        createApp: () => new PortfolioApp(storage, content, i18n, { clock })
+    };
+}
+
+// Rules for one test, in the evolutionRules.js format
+function rulesConfig(rules, extra = {}) {
+    return { version: 1, rules, ...extra };
+}
+
+module.exports = { createEnvironment, rulesConfig, START };
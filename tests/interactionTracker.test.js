@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, START } = require('./helpers');
+
+test('clicks count towards the all-time totals and the current session', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    tracker.trackClick('projects');
+    tracker.trackClick('cta', 'contact');
+
+    const data = tracker.getData();
+    assert.equal(data.clicks.projects, 1);
+    assert.equal(data.clicks.cta, 1);
+    assert.equal(data.clicks.contact, 1);
+    assert.equal(tracker.session.clicks.projects, 1);
+    assert.equal(tracker.getRuleData().session.clicks.cta, 1);
+});
+
+test('unknown click types are recorded as interactions without a counter', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    tracker.trackClick('mystery');
+
+    assert.equal(tracker.getData().clicks.mystery, undefined);
+    assert.equal(tracker.getData().interactions.at(-1).type, 'mystery');
+});
+
+test('nothing is counted without analytics consent', async () => {
+    const env = await createEnvironment({ consent: false });
+    const tracker = env.createTracker();
+
+    tracker.trackClick('projects');
+
+    assert.equal(tracker.getData().clicks.projects, 0);
+    assert.equal(tracker.getData().visitCount, 0);
+});
+
+test('change listeners get the counter paths, including the windowed ones', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    const changes = [];
+    tracker.onChange(paths => changes.push(...paths));
+
+    tracker.trackClick('about');
+
+    assert.ok(changes.includes('clicks.about'));
+    assert.ok(changes.includes('session.clicks.about'));
+    assert.ok(changes.includes('last7Days.clicks.about'));
+});
+
+test('project clicks and CTA opens feed the project ranking', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    tracker.trackProjectClick('smart-layout');
+    tracker.trackProjectCta('adaptive-ui');
+    tracker.trackProjectCta('adaptive-ui');
+
+    assert.deepEqual(tracker.getProjectRanking().map(project => project.id), ['adaptive-ui', 'smart-layout']);
+    assert.equal(tracker.getPopularProject(), 'adaptive-ui');
+    assert.equal(tracker.getData().clicks.projects, 3);
+});
+
+test('time is credited to the section on screen when the next one comes into view', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    env.showSection('about');
+    env.advance(12000);
+    env.showSection('projects');
+    env.advance(5000);
+    env.showSection('contact');
+
+    const data = tracker.getData();
+    assert.equal(data.timeOnSections.about, 12000);
+    assert.equal(data.timeOnSections.projects, 5000);
+    assert.equal(data.sectionViews.projects, 1);
+    assert.equal(tracker.session.timeOnSections.about, 12000);
+});
+
+test('reaching the contact section records how long it took', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    env.advance(8000);
+    env.showSection('contact');
+
+    assert.equal(tracker.getData().contactReachTime, 8000);
+});
+
+test('time while the page is hidden is not counted', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    const setVisibility = state => {
+        Object.defineProperty(env.document, 'visibilityState', { value: state, configurable: true });
+        env.document.dispatchEvent(new env.window.Event('visibilitychange'));
+    };
+
+    env.showSection('about');
+    env.advance(4000);
+    setVisibility('hidden');
+    env.advance(60000);
+    setVisibility('visible');
+    env.advance(1000);
+    env.showSection('projects');
+
+    assert.equal(tracker.getData().timeOnSections.about, 5000);
+});
+
+test('a long pause ends the session and the next activity starts another', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    const first = tracker.getSessionId();
+
+    tracker.trackClick('projects');
+    env.advance(31 * 60 * 1000);
+    tracker.trackClick('projects');
+
+    assert.notEqual(tracker.getSessionId(), first);
+    assert.equal(tracker.getData().visitCount, 2);
+    assert.equal(tracker.session.clicks.projects, 1);
+    assert.equal(tracker.getData().clicks.projects, 2);
+});
+
+test('sessions older than the retention period are dropped on the next visit', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    tracker.saveData();
+
+    env.advance(31 * 24 * 60 * 60 * 1000);
+    const later = env.createTracker();
+
+    assert.equal(later.getData().sessions.length, 1);
+    assert.ok(later.getData().sessions[0].start > START);
+});
+
+test('clicks are saved in one batch shortly after a burst', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+
+    tracker.trackClick('projects');
+    tracker.trackClick('projects');
+    assert.notEqual(env.storage.read('portfolioInteractionData').clicks.projects, 2);
+
+    env.advance(1000);
+    assert.equal(env.storage.read('portfolioInteractionData').clicks.projects, 2);
+});
+
+test('saved data is picked up again after a reload', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    env.showSection('projects');
+    env.advance(7000);
+    tracker.trackProjectClick('evolving-web');
+    env.showSection('contact');
+    tracker.saveData();
+
+    const reloaded = await createEnvironment({ storage: env.storage, clock: env.clock });
+    const data = reloaded.createTracker().getData();
+
+    assert.equal(data.clicks.projects, 1);
+    assert.equal(data.timeOnSections.projects, 7000);
+    assert.equal(data.projects['evolving-web'].clicks, 1);
+    // Within the idle timeout, so the same session carries on
+    assert.equal(data.visitCount, 1);
+});
+
+test('withdrawing consent forgets what was recorded', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    tracker.trackClick('projects');
+    tracker.saveData();
+
+    env.consent.withdraw();
+
+    assert.equal(tracker.getData().clicks.projects, 0);
+    assert.equal(env.storage.read('portfolioInteractionData'), null);
+});
+
+test('text typed into the contact form never ends up in the click log', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    const message = env.document.getElementById('message');
+    message.value = 'my phone number is 555-0100';
+
+    message.dispatchEvent(new env.window.MouseEvent('click', { bubbles: true }));
+
+    const click = tracker.getData().interactions.at(-1);
+    assert.equal(click.type, 'click');
+    assert.equal(click.text, '[redacted]');
+    assert.equal(click.section, 'contact');
+});
+
+test('a destroyed tracker saves what is pending and stops listening', async () => {
+    const env = await createEnvironment();
+    const tracker = env.createTracker();
+    tracker.trackClick('projects');
+
+    tracker.destroy();
+    assert.equal(env.storage.read('portfolioInteractionData').clicks.projects, 1);
+
+    const logged = tracker.getData().interactions.length;
+    env.document.getElementById('message').dispatchEvent(new env.window.MouseEvent('click', { bubbles: true }));
+    env.showSection('about');
+    env.advance(60000);
+    assert.equal(tracker.getData().interactions.length, logged);
+    assert.equal(tracker.getData().sectionViews.about || 0, 0);
+});
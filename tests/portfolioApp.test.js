@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers');
+
+const sectionOrder = document => Array.from(document.querySelectorAll('section[data-section]')).map(section => section.id);
+
+// Enough interest in projects over about for the built-in projects_priority rule
+function browseProjects(env) {
+    env.showSection('projects');
+    env.advance(10000);
+    // Time on a section is credited when the visitor moves on
+    env.showSection('about');
+    env.document.querySelectorAll('.project-card').forEach(card => card.click());
+    env.advance(2000);
+}
+
+test('first-time visitors are asked for consent before anything is tracked', async () => {
+    const env = await createEnvironment({ consent: false });
+    const app = env.createApp();
+    const banner = env.document.getElementById('consentBanner');
+
+    assert.equal(banner.hidden, false);
+    assert.equal(app.tracker.isTracking(), false);
+
+    env.document.getElementById('consentAccept').click();
+
+    assert.equal(banner.hidden, true);
+    assert.equal(app.consent.state.decidedAt, new Date(env.clock.now()).toISOString());
+    assert.equal(app.tracker.isTracking(), true);
+    assert.equal(app.tracker.getData().visitCount, 1);
+});
+
+test('navigation and project clicks are counted', async () => {
+    const env = await createEnvironment();
+    const app = env.createApp();
+
+    env.document.querySelector('.nav-link[data-section="about"]').click();
+    env.document.querySelector('.project-card[data-project="adaptive-ui"]').click();
+
+    const data = app.tracker.getData();
+    assert.equal(data.clicks.navigation, 1);
+    assert.equal(data.clicks.about, 1);
+    assert.equal(data.clicks.projects, 1);
+    assert.equal(data.projects['adaptive-ui'].clicks, 1);
+});
+
+test('stats count up once they scroll into view', async () => {
+    const env = await createEnvironment();
+    env.createApp();
+    const stat = env.document.querySelector('.stat-number[data-count]');
+
+    env.intersect(stat);
+    env.advance(1000);
+    assert.ok(Number(stat.textContent) > 0);
+    assert.ok(Number(stat.textContent) < Number(stat.dataset.count));
+
+    env.advance(1100);
+    assert.equal(stat.textContent, stat.dataset.count);
+});
+
+test('notifications go away on their own', async () => {
+    const env = await createEnvironment();
+    const app = env.createApp();
+
+    app.showNotification('Hello', 'info');
+    assert.equal(env.document.querySelectorAll('.notification').length, 1);
+
+    env.advance(4300);
+    assert.equal(env.document.querySelectorAll('.notification').length, 0);
+});
+
+test('the page evolves from what the visitor does and announces it', async () => {
+    const env = await createEnvironment({ media: { '(prefers-reduced-motion: reduce)': true } });
+    const app = env.createApp();
+
+    browseProjects(env);
+
+    assert.ok(app.evolutionEngine.currentEvolutions.has('projects_priority'));
+    assert.deepEqual(sectionOrder(env.document).slice(1, 3), ['projects', 'about']);
+    const notice = env.document.getElementById('evolutionNotice');
+    assert.ok(notice.classList.contains('show'));
+    assert.equal(notice.querySelector('.notice-text span').textContent, env.i18n.t('evolution.projectsPrioritized'));
+    assert.equal(notice.dataset.rule, 'projects_priority');
+});
+
+test('undo from the notice reverts the evolution for good', async () => {
+    const env = await createEnvironment({ media: { '(prefers-reduced-motion: reduce)': true } });
+    const app = env.createApp();
+    browseProjects(env);
+
+    env.document.getElementById('undoEvolution').click();
+
+    assert.deepEqual(sectionOrder(env.document).slice(1, 3), ['about', 'projects']);
+    assert.ok(app.evolutionEngine.rejectedEvolutions.has('projects_priority'));
+    assert.equal(env.document.querySelector('.notification').textContent.trim(), env.i18n.t('notice.undone'));
+
+    browseProjects(env);
+    assert.equal(app.evolutionEngine.currentEvolutions.has('projects_priority'), false);
+});
+
+test('returning visitors get the evolved layout straight away', async () => {
+    const env = await createEnvironment({ media: { '(prefers-reduced-motion: reduce)': true } });
+    env.createApp();
+    browseProjects(env);
+
+    const reloaded = await createEnvironment({ storage: env.storage, clock: env.clock });
+    const app = reloaded.createApp();
+
+    assert.deepEqual(sectionOrder(reloaded.document).slice(1, 3), ['projects', 'about']);
+    assert.equal(reloaded.document.getElementById('evolutionNotice').classList.contains('show'), false);
+    assert.ok(app.evolutionEngine.currentEvolutions.has('projects_priority'));
+});
+
+test('the owner dashboard updates its figures in place, keeping focus where it was', async () => {
+    const env = await createEnvironment({ media: { '(prefers-reduced-motion: reduce)': true } });
+    const app = env.createApp();
+    const { document } = env;
+
+    app.dashboard.open();
+    const refresh = document.querySelector('[data-dashboard-action="refresh"]');
+    const projectClicks = () => document.querySelector('[data-chart="clicks"] [data-key="projects"] .dashboard-bar-value').textContent;
+    refresh.focus();
+
+    assert.equal(document.querySelector('.owner-dashboard h2').textContent, env.i18n.t('dashboard.title'));
+    assert.equal(document.querySelector('.owner-dashboard').getAttribute('aria-label'), env.i18n.t('dashboard.label'));
+    assert.equal(projectClicks(), '0');
+
+    app.tracker.trackClick('projects');
+    env.advance(5000);
+
+    assert.equal(projectClicks(), '1');
+    assert.ok(refresh.isConnected);
+    assert.equal(document.activeElement, refresh);
+    assert.equal(document.querySelector('.dashboard-empty').hidden, false);
+
+    browseProjects(env);
+    env.advance(5000);
+    assert.equal(document.querySelector('.dashboard-empty').hidden, true);
+    assert.equal(document.querySelectorAll('.dashboard-event').length, app.evolutionEngine.getEvolutionHistory().length);
+    assert.equal(document.activeElement, refresh);
+});
+
+test('the click heatmap panel is translated, counts included', async () => {
+    const env = await createEnvironment();
+    const app = env.createApp();
+    const { document } = env;
+    document.querySelector('.nav-link[data-section="about"]').click();
+
+    app.heatmap.show();
+    const count = () => document.querySelector('.heatmap-count').textContent;
+    assert.equal(count(), '1 click');
+
+    env.i18n.catalogs.es = require('../locales/es.json');
+    await env.i18n.setLocale('es');
+    assert.equal(document.querySelector('.heatmap-panel strong').textContent, 'Mapa de clics');
+    assert.equal(document.querySelector('[data-heatmap-close]').getAttribute('aria-label'), 'Ocultar mapa de clics');
+    assert.equal(count(), '1 clic');
+
+    document.querySelector('.nav-link[data-section="projects"]').click();
+    document.querySelector('[data-heatmap-filter="section"]').dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    assert.equal(count(), '2 clics');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, extractInteractions, formatReport, createClock } = require('../tools/ruleSimulator');
+
+const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+// Two visits two hours apart: the first browses projects (a card's call to action counts as a
+// project click too) and clicks the hero CTA twice, the second comes back and only looks around
+const LOG = [
+    { type: 'visit', at: 0 },
+    { type: 'section_view', section: 'projects', at: 5 * SECOND },
+    { type: 'projects', project: 'smart-layout', at: 10 * SECOND },
+    { type: 'projects', project: 'smart-layout', at: 15 * SECOND },
+    { type: 'projects', project: 'adaptive-ui', at: 20 * SECOND },
+    { type: 'projects', project: 'adaptive-ui', cta: true, at: 25 * SECOND },
+    { type: 'cta', at: 40 * SECOND },
+    { type: 'cta', at: 45 * SECOND },
+    { type: 'scroll', depth: 80, at: 50 * SECOND },
+    { type: 'visit', at: 2 * HOUR },
+    { type: 'section_view', section: 'about', at: 2 * HOUR + 5 * SECOND },
+    { type: 'hover', at: 2 * HOUR + 6 * SECOND }
+].map(({ at, ...entry }) => ({ ...entry, timestamp: START + at }));
+
+const RULES = {
+    version: 1,
+    budget: { perSession: 2 },
+    rules: [
+        {
+            name: 'projects_first',
+            when: { metric: 'clicks.projects', op: '>', value: 2 },
+            action: { name: 'moveProjectsUp' },
+            priority: 2,
+            cooldown: 0
+        },
+        {
+            name: 'cta_test',
+            when: { metric: 'clicks.cta', op: '>=', value: 2 },
+            action: { name: 'optimizeCTA', params: { primary: '#047857' } },
+            experiment: {
+                variants: [{ name: 'control', control: true }, { name: 'green' }, { name: 'dark', params: { primary: '#065f46' } }],
+                goals: ['cta_click']
+            },
+            priority: 1,
+            cooldown: 0
+        },
+        {
+            name: 'boost',
+            when: { metric: 'clicks.projects', op: '>', value: 3 },
+            action: { name: 'enhanceInteractivity' },
+            cooldown: 0
+        },
+        {
+            name: 'welcome_back',
+            when: { metric: 'visitCount', op: '>', value: 1 },
+            action: { name: 'personalizeGreeting' },
+            cooldown: 0
+        },
+        {
+            name: 'never',
+            when: { metric: 'clicks.contact', op: '>', value: 0 },
+            action: { name: 'showEngagementReward' },
+            cooldown: 0
+        }
+    ]
+};
+
+// The report comes out of the simulator's vm context, so compare it as plain data
+const run = (options = {}) => JSON.parse(JSON.stringify(
+    simulate({ interactionData: { interactions: LOG } }, { rules: RULES, seed: 1, ...options })
+));
+
+test('a fixed log replays to the same rules, order, variants and budget', () => {
+    const report = run();
+
+    assert.equal(report.interactions, LOG.length);
+    assert.equal(report.skipped, 1);
+    assert.equal(report.sessions, 2);
+    // A check runs 150 ms after the change that triggers it
+    assert.deepEqual(report.fired.map(({ at, rule, action, variant }) => ({ at, rule, action, variant })), [
+        { at: 20150, rule: 'projects_first', action: 'moveProjectsUp', variant: null },
+        { at: 25150, rule: 'boost', action: 'enhanceInteractivity', variant: null },
+        { at: 2 * HOUR + 5150, rule: 'cta_test', action: 'optimizeCTA', variant: 'dark' },
+        { at: 2 * HOUR + 5150, rule: 'welcome_back', action: 'personalizeGreeting', variant: null }
+    ]);
+    assert.deepEqual(report.fired[2].params, { primary: '#065f46' });
+    assert.deepEqual(report.notFired, ['never']);
+});
+
+test('the session budget holds rules back until the next session', () => {
+    const report = run();
+    const [projects, boost, cta, welcome] = report.fired;
+
+    assert.deepEqual(boost.budget, { limit: 2, spent: 2, remaining: 0 });
+    assert.equal(boost.session, projects.session);
+    // cta_test qualified at 45 s with the budget already spent, so it waited for the next visit
+    assert.notEqual(cta.session, projects.session);
+    assert.deepEqual(cta.budget, { limit: 2, spent: 1, remaining: 1 });
+    assert.deepEqual(welcome.budget, { limit: 2, spent: 2, remaining: 0 });
+    assert.deepEqual(report.budget, { limit: 2, spent: 2, remaining: 0 });
+});
+
+test('the report says its budget is an upper bound', () => {
+    const lines = formatReport(run()).split('\n');
+
+    assert.ok(lines.includes('  3. +2:00:05  cta_test        optimizeCTA [dark]'));
+    assert.match(lines.at(-1), /^Budget in the last session: 2 of 2 \(at most: .* nothing to change is free\)$/);
+});
+
+test('the seed alone decides experiment picks', () => {
+    assert.deepEqual(run().fired, run().fired);
+
+    const variants = new Set([1, 2, 3].map(seed => run({ seed }).fired.find(event => event.rule === 'cta_test').variant));
+    assert.deepEqual(Array.from(variants).sort(), ['control', 'dark', 'green']);
+});
+
+test('logs need a type and a numeric timestamp on every entry', () => {
+    assert.throws(() => extractInteractions({ interactions: [{ type: 'visit' }] }), /interactions\[0\]/);
+    assert.throws(() => extractInteractions({ nothing: [] }), /Expected an interactions array/);
+});
+
+test('the fake clock runs timers in order as it is advanced', () => {
+    const clock = createClock(START);
+    const ran = [];
+    clock.setTimeout(() => ran.push(['timeout', clock.now() - START]), 300);
+    const interval = clock.setInterval(() => ran.push(['interval', clock.now() - START]), 200);
+
+    clock.advanceTo(START + 500);
+    clock.clearInterval(interval);
+    clock.advanceTo(START + 1000);
+
+    assert.deepEqual(ran, [['interval', 200], ['timeout', 300], ['interval', 400]]);
+    assert.equal(clock.now(), START + 1000);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, START } = require('./helpers');
+
+// Throws a quota error on writes bigger than the limit, like a full localStorage
+class LimitedStorageAdapter extends MemoryStorageAdapter {
+    constructor(limit) {
+        super();
+        this.limit = limit;
+    }
+
+    setItem(key, value) {
+        if (JSON.stringify(value).length > this.limit) {
+            const error = new Error('The quota has been exceeded.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        super.setItem(key, value);
+    }
+}
+
+test('values round-trip through every synchronous backend', async () => {
+    await createEnvironment();
+    const value = { clicks: { projects: 3 }, list: [1, 2, 3], nothing: null };
+
+    [new MemoryStorageAdapter(), new WebStorageAdapter(window.localStorage), new WebStorageAdapter(window.sessionStorage)]
+        .forEach(adapter => {
+            const store = new PersistentStore(adapter);
+            store.write('example', value);
+            assert.deepEqual(store.read('example'), value);
+
+            store.remove('example');
+            assert.equal(store.read('example'), null);
+        });
+});
+
+test('values are saved with their schema version', async () => {
+    const adapter = new MemoryStorageAdapter();
+    const store = new PersistentStore(adapter);
+    store.registerSchema('example', { version: 3 });
+
+    store.write('example', { a: 1 });
+
+    assert.deepEqual(adapter.getItem('example'), { schemaVersion: 3, data: { a: 1 } });
+});
+
+test('older values are migrated step by step and saved back', async () => {
+    const adapter = new MemoryStorageAdapter();
+    adapter.setItem('example', { schemaVersion: 1, data: { count: 1 } });
+    const store = new PersistentStore(adapter);
+    store.registerSchema('example', {
+        version: 3,
+        migrations: {
+            2: data => ({ ...data, count: data.count * 10 }),
+            3: data => ({ ...data, label: `n=${data.count}` })
+        }
+    });
+
+    assert.deepEqual(store.read('example'), { count: 10, label: 'n=10' });
+    assert.equal(adapter.getItem('example').schemaVersion, 3);
+});
+
+test('values saved by a newer version are ignored', async () => {
+    const adapter = new MemoryStorageAdapter();
+    adapter.setItem('example', { schemaVersion: 9, data: { future: true } });
+    const store = new PersistentStore(adapter);
+    store.registerSchema('example', { version: 2 });
+
+    assert.equal(store.read('example'), null);
+});
+
+test('a write that runs out of space is compacted until it fits', async () => {
+    const store = new PersistentStore(new LimitedStorageAdapter(200));
+    store.registerSchema('log', {
+        version: 1,
+        compact: entries => entries.length > 1 ? entries.slice(Math.ceil(entries.length / 2)) : null
+    });
+    const entries = Array.from({ length: 40 }, (_, i) => `entry-${i}`);
+
+    assert.equal(store.write('log', entries), true);
+
+    const saved = store.read('log');
+    assert.ok(saved.length < entries.length);
+    assert.equal(saved.at(-1), 'entry-39');
+});
+
+test('tracker data from before versioning is migrated to the current shape', async () => {
+    const adapter = new MemoryStorageAdapter();
+    adapter.setItem('portfolioInteractionData', {
+        clicks: { projects: 4, contact: 1, about: 0, themeToggle: 0 },
+        timeOnSections: { home: 1000, about: 0, projects: 5000, contact: 0 },
+        scrollDepth: 60,
+        lastVisit: '2025-01-05',
+        visitCount: 2,
+        interactions: [{ type: 'click', timestamp: START - 60000, position: { x: 5, y: 6 } }]
+    });
+    const env = await createEnvironment({ storage: new PersistentStore(adapter) });
+
+    const data = env.createTracker().getData();
+
+    assert.equal(data.clicks.projects, 4);
+    assert.equal(data.clicks.cta, 0);
+    assert.equal(data.timeOnSections.projects, 5000);
+    assert.deepEqual(data.interactions[0].clientPosition, { x: 5, y: 6 });
+    assert.equal(data.interactions[0].position, undefined);
+    assert.ok(Array.isArray(data.sessions));
+    assert.equal(adapter.getItem('portfolioInteractionData').schemaVersion, 5);
+});
+
+test('the tracker keeps its counters when storage fills up', async () => {
+    const env = await createEnvironment({ storage: new PersistentStore(new LimitedStorageAdapter(6000)) });
+    const tracker = env.createTracker();
+
+    for (let i = 0; i < 60; i++) {
+        tracker.trackClick('projects');
+    }
+    tracker.saveData();
+
+    // 60 clicks and the visit itself, but only the newest part of the log fits
+    const saved = env.storage.read('portfolioInteractionData');
+    assert.equal(saved.clicks.projects, 60);
+    assert.ok(saved.interactions.length < 61);
+    assert.equal(saved.interactions.at(-1).type, 'projects');
+});
+
+test('privacy choices are remembered', async () => {
+    const env = await createEnvironment({ consent: false });
+    env.consent.update({ analytics: true, personalization: false });
+
+    const reloaded = await createEnvironment({ storage: env.storage, consent: false });
+
+    assert.deepEqual(reloaded.consent.getChoices(), { analytics: true, personalization: false });
+    assert.ok(reloaded.consent.hasDecided());
+});
@@ -0,0 +1,256 @@
+// Theme Module
+// Palettes are named sets of design tokens (CSS custom properties). The palette shown comes
+// from, in increasing order of precedence: the system color scheme, evolution layers, and the
+// visitor's own choice. Evolutions add layers through EvolutionEngine.applyPalette() so each
+// change is scoped to its rule and can be removed again without touching the others.
+class ThemeManager {
+    constructor({ storage, accessibility = null, palettes = ThemeManager.PALETTES } = {}) {
+        this.storage = storage;
+        this.accessibility = accessibility;
+        this.palettes = palettes;
+        this.layers = new Map();
+        this.listeners = [];
+        this.appliedTokens = [];
+        this.current = null;
+        this.schemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.override = this.loadOverride();
+        this.init();
+    }
+
+    static get PALETTES() {
+        const shared = {
+            '--gradient': 'linear-gradient(135deg, var(--primary), var(--secondary))'
+        };
+
+        return {
+            light: {
+                label: 'Light',
+                scheme: 'light',
+                tokens: {
+                    ...shared,
+                    '--primary': '#6366f1',
+                    '--primary-dark': '#4f46e5',
+                    '--secondary': '#ec4899',
+                    '--accent': '#8b5cf6',
+                    '--text': '#1f2937',
+                    '--text-light': '#6b7280',
+                    '--bg': '#ffffff',
+                    '--bg-secondary': '#f8fafc',
+                    '--bg-glass': 'rgba(255, 255, 255, 0.1)',
+                    '--border': 'rgba(255, 255, 255, 0.2)',
+                    '--shadow': '0 20px 40px rgba(0, 0, 0, 0.1)',
+                    '--shadow-lg': '0 25px 50px rgba(0, 0, 0, 0.15)'
+                }
+            },
+            dark: {
+                label: 'Dark',
+                scheme: 'dark',
+                tokens: {
+                    ...shared,
+                    '--primary': '#6366f1',
+                    '--primary-dark': '#4f46e5',
+                    '--secondary': '#ec4899',
+                    '--accent': '#8b5cf6',
+                    '--text': '#f9fafb',
+                    '--text-light': '#d1d5db',
+                    '--bg': '#0f0f23',
+                    '--bg-secondary': '#1a1b2e',
+                    '--bg-glass': 'rgba(255, 255, 255, 0.05)',
+                    '--border': 'rgba(255, 255, 255, 0.1)',
+                    '--shadow': '0 20px 40px rgba(0, 0, 0, 0.3)',
+                    '--shadow-lg': '0 25px 50px rgba(0, 0, 0, 0.4)'
+                }
+            },
+            sunrise: {
+                label: 'Sunrise',
+                scheme: 'light',
+                tokens: {
+                    ...shared,
+                    '--primary': '#c2410c',
+                    '--primary-dark': '#9a3412',
+                    '--secondary': '#db2777',
+                    '--accent': '#d97706',
+                    '--text': '#292524',
+                    '--text-light': '#57534e',
+                    '--bg': '#fffaf3',
+                    '--bg-secondary': '#fef3e2',
+                    '--bg-glass': 'rgba(255, 255, 255, 0.3)',
+                    '--border': 'rgba(120, 53, 15, 0.15)',
+                    '--shadow': '0 20px 40px rgba(120, 53, 15, 0.1)',
+                    '--shadow-lg': '0 25px 50px rgba(120, 53, 15, 0.15)'
+                }
+            }
+        };
+    }
+
+    // Applied over any palette of the matching scheme when the visitor prefers more contrast
+    static get CONTRAST_TOKENS() {
+        const gradient = 'linear-gradient(135deg, var(--primary), var(--primary-dark))';
+
+        return {
+            light: {
+                '--primary': '#4338ca',
+                '--primary-dark': '#3730a3',
+                '--text-light': '#374151',
+                '--border': 'rgba(0, 0, 0, 0.4)',
+                '--gradient': gradient
+            },
+            dark: {
+                '--primary': '#4f46e5',
+                '--primary-dark': '#3730a3',
+                '--text-light': '#f3f4f6',
+                '--border': 'rgba(255, 255, 255, 0.5)',
+                '--gradient': gradient
+            }
+        };
+    }
+
+    init() {
+        if (this.schemeQuery && this.schemeQuery.addEventListener) {
+            this.schemeQuery.addEventListener('change', () => this.apply());
+        }
+        if (this.accessibility) {
+            this.accessibility.onChange(() => this.apply());
+        }
+        this.apply();
+    }
+
+    getPaletteNames() {
+        return Object.keys(this.palettes);
+    }
+
+    hasPalette(name) {
+        return Object.prototype.hasOwnProperty.call(this.palettes, name);
+    }
+
+    getSystemPalette() {
+        return this.schemeQuery && this.schemeQuery.matches ? 'dark' : 'light';
+    }
+
+    // The visitor's explicit choice is a preference, not tracking, so it's kept without consent
+    loadOverride() {
+        const name = this.storage.read('themeOverride');
+        return name && this.hasPalette(name) ? name : null;
+    }
+
+    getOverride() {
+        return this.override;
+    }
+
+    // null goes back to following the system and any evolutions
+    setOverride(name) {
+        if (name !== null && !this.hasPalette(name)) {
+            console.warn(`Unknown palette "${name}".`);
+            return;
+        }
+
+        this.override = name;
+        if (name) {
+            this.storage.write('themeOverride', name);
+        } else {
+            this.storage.remove('themeOverride');
+        }
+        this.apply();
+    }
+
+    // A layer is { palette?, tokens? }; later layers win over earlier ones. Returns the inverse.
+    setLayer(scope, { palette = null, tokens = {} } = {}) {
+        if (palette !== null && !this.hasPalette(palette)) {
+            console.warn(`Unknown palette "${palette}".`);
+            return null;
+        }
+
+        const layer = { palette, tokens: { ...tokens } };
+        this.layers.delete(scope);
+        this.layers.set(scope, layer);
+        this.apply();
+
+        return () => {
+            if (this.layers.get(scope) === layer) {
+                this.removeLayer(scope);
+            }
+        };
+    }
+
+    removeLayer(scope) {
+        if (this.layers.delete(scope)) {
+            this.apply();
+        }
+    }
+
+    clearLayers() {
+        if (this.layers.size > 0) {
+            this.layers.clear();
+            this.apply();
+        }
+    }
+
+    getLayers() {
+        return new Map(this.layers);
+    }
+
+    // Work out the palette and tokens for a given set of layers without applying anything
+    resolve({ layers = this.layers, override = this.override } = {}) {
+        const active = override ? [] : Array.from(layers.values());
+        let name = override || this.getSystemPalette();
+        active.forEach(layer => {
+            if (layer.palette) name = layer.palette;
+        });
+
+        const palette = this.palettes[name];
+        const tokens = { ...palette.tokens };
+        if (this.accessibility && this.accessibility.prefersMoreContrast()) {
+            Object.assign(tokens, ThemeManager.CONTRAST_TOKENS[palette.scheme]);
+        }
+        active.forEach(layer => Object.assign(tokens, layer.tokens));
+
+        return {
+            name,
+            scheme: palette.scheme,
+            tokens,
+            source: override ? 'user' : (active.length > 0 ? 'evolution' : 'system')
+        };
+    }
+
+    // Tokens go inline on <body> so they win over the stylesheet defaults in :root and .dark-theme
+    apply() {
+        const previous = this.current;
+        const resolved = this.resolve();
+        const style = document.body.style;
+
+        this.appliedTokens
+            .filter(token => !(token in resolved.tokens))
+            .forEach(token => style.removeProperty(token));
+        Object.entries(resolved.tokens).forEach(([token, value]) => style.setProperty(token, value));
+        this.appliedTokens = Object.keys(resolved.tokens);
+
+        style.colorScheme = resolved.scheme;
+        document.body.classList.toggle('dark-theme', resolved.scheme === 'dark');
+        document.documentElement.dataset.theme = resolved.name;
+        this.current = resolved;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(resolved, previous);
+            } catch (e) {
+                console.warn('Theme listener failed:', e);
+            }
+        });
+    }
+
+    getCurrent() {
+        return this.current;
+    }
+
+    // Returns a function that removes the listener again
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThemeManager };
+}
@@ -0,0 +1,517 @@
+// Evolution Rule Simulator
+// Replays a recorded or synthetic interaction log through InteractionTracker and EvolutionEngine
+// on a fake clock and reports which rules would fire, when and in what order. No dependencies:
+// the browser scripts run in a vm context against a small DOM stand-in, so rule changes can be
+// tried (and regression-tested) headless:
+//
+//   node tools/ruleSimulator.js recording.json
+//   node tools/ruleSimulator.js recording.json --rules rules.json --json > fired.json
+//
+// The log is the tracker's `interactions` array, or anything holding one: stored tracker data
+// or a dashboard export. Entries are replayed by type; every one needs a timestamp (ms):
+//   visit                          a new page load (sessions follow from the gaps, as live)
+//   section_view { section }       the section scrolled into view
+//   scroll { depth }               scroll depth in percent
+//   cta, contact, navigation, ...  clicks tracked by the page, e.g. { type: 'navigation', target: 'about' };
+//                                  with { project, cta? } a project card or its call to action
+//   click                          any other click (counts as an interaction only)
+//   project_detail { project, duration }, theme_change { preference }
+// Other types are skipped and counted. Hover and view time on project cards aren't in the log,
+// so they stay at zero.
+//
+// Actions are stood in for: a rule that fires is recorded with the params it would run with,
+// and counts as a visible change for the evolution budget. Live, an action with nothing to do
+// on the page is free, so the budget here is an upper bound and a rule it holds back may fire
+// sooner on the real page. Control variants are free here too. Accessibility refusals need the
+// real page and don't happen here.
+//
+// Options: --rules <file.json> (default: evolutionRules.js), --url <landing url>,
+// --referrer <url>, --mobile, --seed <n> (experiment and bandit picks), --settle <ms> (how
+// long to keep the clock running after the last entry, default 60000), --json
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// The engine and what it needs, in the order Index.html loads them. Messages aren't needed
+// as no action really runs, so i18n.js (which fetches its catalogs) stays out.
+const SCRIPTS = [
+    'clock.js',
+    'storage.js',
+    'consentManager.js',
+    'visitorSegments.js',
+    'interactionTracker.js',
+    'ruleCompiler.js',
+    'evolutionRules.js',
+    'experiments.js',
+    'banditSelector.js',
+    'accessibility.js',
+    'themeManager.js',
+    'eventBus.js',
+    'evolutionEngine.js'
+];
+
+const DEFAULTS = {
+    rules: null,
+    url: 'https://example.com/',
+    referrer: '',
+    mobile: false,
+    seed: 1,
+    settle: 60000
+};
+
+// Timers run in order as the clock is advanced, never on their own
+function createClock(start) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    const schedule = (callback, delay, args, repeat) => {
+        const id = nextId++;
+        const wait = Math.max(0, Number(delay) || 0);
+        timers.set(id, { at: now + wait, callback, args, interval: repeat ? Math.max(1, wait) : null });
+        return id;
+    };
+
+    return {
+        now: () => now,
+        setTimeout: (callback, delay, ...args) => schedule(callback, delay, args, false),
+        setInterval: (callback, delay, ...args) => schedule(callback, delay, args, true),
+        clearTimeout: (id) => timers.delete(id),
+        clearInterval: (id) => timers.delete(id),
+        advanceTo(time) {
+            for (;;) {
+                let next = null;
+                timers.forEach((timer, id) => {
+                    if (timer.at <= time && (!next || timer.at < next.timer.at)) {
+                        next = { id, timer };
+                    }
+                });
+                if (!next) break;
+
+                now = Math.max(now, next.timer.at);
+                if (next.timer.interval) {
+                    next.timer.at += next.timer.interval;
+                } else {
+                    timers.delete(next.id);
+                }
+                try {
+                    next.timer.callback(...next.timer.args);
+                } catch (e) {
+                    console.warn('Simulated timer failed:', e);
+                }
+            }
+            now = Math.max(now, time);
+        }
+    };
+}
+
+// Small seeded generator (mulberry32), so experiment and bandit picks repeat run to run
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createEventTarget(target) {
+    const listeners = new Map();
+    target.addEventListener = (type, listener) => {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(listener);
+    };
+    target.removeEventListener = (type, listener) => {
+        if (listeners.has(type)) listeners.get(type).delete(listener);
+    };
+    target.dispatch = (type, event = {}) => {
+        Array.from(listeners.get(type) || []).forEach(listener => listener({ type, target, ...event }));
+    };
+    return target;
+}
+
+// Just enough of an element for the tracker, theme and accessibility code to run against
+function createElement(tagName, { id = '', dataset = {} } = {}) {
+    const classes = new Set();
+    const properties = new Map();
+    return createEventTarget({
+        tagName: tagName.toUpperCase(),
+        nodeType: 1,
+        id,
+        dataset: { ...dataset },
+        textContent: '',
+        isConnected: true,
+        style: {
+            setProperty: (name, value) => properties.set(name, value),
+            removeProperty: (name) => properties.delete(name),
+            getPropertyValue: (name) => properties.get(name) || ''
+        },
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: (name) => classes.has(name),
+            toggle(name, force) {
+                const on = force === undefined ? !classes.has(name) : !!force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            }
+        },
+        appendChild: (child) => child,
+        remove() {},
+        focus() {},
+        closest: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        getBoundingClientRect: () => ({ top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 })
+    });
+}
+
+function createDom({ url, referrer, mobile, sections }) {
+    const observers = [];
+    const sectionElements = sections.map(section => createElement('section', { id: section, dataset: { section } }));
+    const body = createElement('body');
+    body.scrollHeight = 8000;
+
+    const document = createEventTarget({
+        documentElement: createElement('html'),
+        body,
+        head: createElement('head'),
+        referrer,
+        visibilityState: 'visible',
+        activeElement: body,
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: (selector) => selector === 'section[data-section]' ? sectionElements.slice() : [],
+        createElement: (tagName) => createElement(tagName)
+    });
+
+    const window = createEventTarget({
+        location: { href: url },
+        innerWidth: mobile ? 390 : 1280,
+        innerHeight: 800,
+        scrollY: 0,
+        matchMedia: (query) => ({
+            matches: mobile && query === '(pointer: coarse)',
+            media: query,
+            addEventListener() {},
+            removeEventListener() {}
+        }),
+        scrollBy() {}
+    });
+
+    class IntersectionObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.targets = [];
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.targets.push(target);
+        }
+
+        unobserve(target) {
+            this.targets = this.targets.filter(t => t !== target);
+        }
+
+        disconnect() {
+            this.targets = [];
+        }
+    }
+
+    return {
+        document,
+        window,
+        IntersectionObserver,
+        // What the browser does when a section scrolls into view
+        showSection(section) {
+            const target = sectionElements.find(element => element.id === section);
+            if (!target) return false;
+            observers
+                .filter(observer => observer.targets.includes(target))
+                .forEach(observer => observer.callback([{ isIntersecting: true, target }]));
+            return true;
+        },
+        scrollTo(depth) {
+            window.scrollY = depth / 100 * body.scrollHeight - window.innerHeight;
+            window.dispatch('scroll');
+        }
+    };
+}
+
+function createContext(options, start) {
+    const clock = createClock(start);
+    const sections = ['home', 'about', 'projects', 'contact'];
+    const dom = createDom({ ...options, sections });
+    const context = vm.createContext({
+        window: dom.window,
+        document: dom.document,
+        navigator: {},
+        IntersectionObserver: dom.IntersectionObserver,
+        URL,
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        // Keep stdout for the report
+        console: new console.Console(process.stderr)
+    });
+
+    const RealDate = vm.runInContext('Date', context);
+    context.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [clock.now()]));
+        }
+
+        static now() {
+            return clock.now();
+        }
+    };
+    vm.runInContext('Math', context).random = createRandom(options.seed);
+
+    SCRIPTS.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return { context, clock, dom };
+}
+
+// The interactions array from a bare log, stored tracker data or a dashboard export
+function extractInteractions(log) {
+    const candidates = [
+        log,
+        log && log.interactions,
+        log && log.data && log.data.interactions,
+        log && log.interactionData && log.interactionData.interactions
+    ];
+    const interactions = candidates.find(Array.isArray);
+    if (!interactions) {
+        throw new Error('Expected an interactions array, tracker data or a dashboard export');
+    }
+
+    const invalid = interactions.findIndex(entry => !entry || typeof entry.type !== 'string' ||
+        !Number.isFinite(entry.timestamp));
+    if (invalid !== -1) {
+        throw new Error(`interactions[${invalid}] needs a "type" and a numeric "timestamp"`);
+    }
+    return interactions.slice().sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Feed one logged entry back through the same tracker calls the page makes
+function replayEntry(entry, { tracker, dom, clock }, first) {
+    const { type, timestamp, session, ...data } = entry;
+    const clickTypes = Object.keys(tracker.getDefaultData().clicks);
+
+    switch (type) {
+        case 'visit':
+            if (!first) {
+                tracker.pageStartTime = clock.now();
+                tracker.contactReached = false;
+            }
+            return true;
+        case 'section_view':
+            return dom.showSection(data.section);
+        case 'scroll':
+            if (!Number.isFinite(data.depth)) return false;
+            dom.scrollTo(data.depth);
+            return true;
+        case 'project_detail':
+            tracker.trackProjectDetail(data.project, data.duration || 0);
+            return true;
+        case 'theme_change':
+            tracker.trackThemePreference(data.preference);
+            return true;
+        case 'click':
+            tracker.trackInteraction('click', data);
+            return true;
+        default:
+            if (!clickTypes.includes(type)) return false;
+
+            if (type === 'projects' && data.project) {
+                if (data.cta) {
+                    tracker.trackProjectCta(data.project);
+                } else {
+                    tracker.trackProjectClick(data.project);
+                }
+            } else {
+                const { target = null, ...metadata } = data;
+                tracker.trackClick(type, target, metadata);
+            }
+            return true;
+    }
+}
+
+function simulate(log, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const interactions = extractInteractions(log);
+    const start = interactions.length > 0 ? interactions[0].timestamp : 0;
+    const { context, clock, dom } = createContext(settings, start);
+    const global = (name) => vm.runInContext(name, context);
+
+    const storage = new (global('PersistentStore'))(new (global('MemoryStorageAdapter'))());
+    const consent = new (global('ConsentManager'))(storage, clock);
+    consent.grantAll();
+    const tracker = new (global('InteractionTracker'))(consent, storage);
+    const engine = new (global('EvolutionEngine'))(tracker, {
+        consent,
+        storage,
+        i18n: null,
+        plugins: [],
+        autoStart: false
+    });
+
+    // Stand-in actions: note what would have run and hand back an undo, like a visible change
+    let lastRun = null;
+    Object.entries(engine.actions).forEach(([name, action]) => {
+        action.run = (params) => {
+            lastRun = { action: name, params: { ...(params || {}) } };
+            return () => {};
+        };
+    });
+    // Rule config errors surface here instead of falling back to the defaults
+    engine.loadRules(settings.rules || global('evolutionRulesConfig'));
+
+    const fired = [];
+    const commitRule = engine.commitRule.bind(engine);
+    engine.commitRule = (rule) => {
+        lastRun = null;
+        const committed = commitRule(rule);
+        if (committed) {
+            fired.push({
+                at: clock.now() - start,
+                timestamp: clock.now(),
+                rule: rule.name,
+                action: lastRun ? lastRun.action : null,
+                params: lastRun ? lastRun.params : null,
+                variant: rule.experiment ? engine.experiments.getAssignment(rule.name) : null,
+                priority: rule.priority,
+                session: tracker.getSessionId(),
+                budget: engine.getBudget()
+            });
+        }
+        return committed;
+    };
+    engine.start();
+
+    let skipped = 0;
+    interactions.forEach((entry, index) => {
+        clock.advanceTo(entry.timestamp);
+        if (!replayEntry(entry, { tracker, dom, clock }, index === 0)) {
+            skipped++;
+        }
+    });
+    const end = (interactions.length > 0 ? interactions[interactions.length - 1].timestamp : start) + settings.settle;
+    clock.advanceTo(end);
+    engine.destroy();
+
+    const firedRules = new Set(fired.map(event => event.rule));
+    return {
+        interactions: interactions.length,
+        skipped,
+        sessions: tracker.getData().visitCount,
+        duration: end - start,
+        segments: tracker.getSegments(),
+        fired,
+        notFired: engine.evolutionRules.map(rule => rule.name).filter(name => !firedRules.has(name)),
+        budget: engine.getBudget()
+    };
+}
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = seconds % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function formatReport(report) {
+    const width = Math.max(4, ...report.fired.map(event => event.rule.length));
+    const lines = [
+        `Replayed ${report.interactions} interactions (${report.skipped} skipped) over ${report.sessions} ` +
+            `session${report.sessions === 1 ? '' : 's'}, ${formatDuration(report.duration)}`,
+        `Segments at the end: ${report.segments.join(', ') || 'none'}`,
+        ''
+    ];
+
+    if (report.fired.length === 0) {
+        lines.push('No rules fired.');
+    }
+    report.fired.forEach((event, index) => {
+        const variant = event.variant ? ` [${event.variant}]` : '';
+        const action = event.action ? `${event.action}${variant}` : `nothing${variant}`;
+        lines.push(`${String(index + 1).padStart(3)}. +${formatDuration(event.at)}  ${event.rule.padEnd(width)}  ${action}`);
+    });
+
+    lines.push('');
+    lines.push(`Not fired: ${report.notFired.join(', ') || 'none'}`);
+    if (report.budget.limit !== null) {
+        lines.push(`Budget in the last session: ${report.budget.spent} of ${report.budget.limit} ` +
+            '(at most: every fired action counts here, but on the page one with nothing to change is free)');
+    }
+    return lines.join('\n');
+}
+
+function parseArgs(argv) {
+    const options = {};
+    let logFile = null;
+    let json = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--rules':
+                options.rules = JSON.parse(fs.readFileSync(value(), 'utf8'));
+                break;
+            case '--url':
+                options.url = value();
+                break;
+            case '--referrer':
+                options.referrer = value();
+                break;
+            case '--mobile':
+                options.mobile = true;
+                break;
+            case '--seed':
+                options.seed = parseInt(value(), 10);
+                break;
+            case '--settle':
+                options.settle = parseInt(value(), 10);
+                break;
+            case '--json':
+                json = true;
+                break;
+            default:
+                if (arg.startsWith('--') || logFile) throw new Error(`Unexpected argument "${arg}"`);
+                logFile = arg;
+        }
+    }
+
+    if (!logFile) {
+        throw new Error('Usage: node tools/ruleSimulator.js <interactions.json> [--rules rules.json] [--json]');
+    }
+    return { logFile, options, json };
+}
+
+if (require.main === module) {
+    try {
+        const { logFile, options, json } = parseArgs(process.argv.slice(2));
+        const report = simulate(JSON.parse(fs.readFileSync(logFile, 'utf8')), options);
+        console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { simulate, extractInteractions, formatReport, createClock };
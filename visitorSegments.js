@@ -0,0 +1,167 @@
+// Visitor Segmentation Module
+// Sorts a visitor into audience segments from what the tracker recorded and how they arrived,
+// so rules can target { segment: 'recruiter' } instead of raw counters. Segments:
+//   recruiter         reached the contact section quickly without lingering on projects
+//   developer         spent a long time on projects or read a project's details
+//   returning         has had more than one session
+//   mobile            browsing on a phone-sized touch screen
+//   referral          arrived from another site or a campaign link
+//   referral:<source> the same, by source: search, linkedin, github, social, email, other, or
+//                     the utm_source of a campaign link
+class VisitorSegments {
+    constructor({
+        thresholds = VisitorSegments.THRESHOLDS,
+        url = window.location.href,
+        referrer = document.referrer
+    } = {}) {
+        this.thresholds = { ...VisitorSegments.THRESHOLDS, ...thresholds };
+        this.referral = this.classifyReferral(url, referrer);
+    }
+
+    static get SEGMENTS() {
+        return ['recruiter', 'developer', 'returning', 'mobile', 'referral'];
+    }
+
+    // Tracker data classify() reads, so rules using segments are re-checked when it changes
+    static get DEPENDENCIES() {
+        return ['contactReachTime', 'timeOnSections.projects', 'projects', 'visitCount', 'acquisition'];
+    }
+
+    // Times are in milliseconds
+    static get THRESHOLDS() {
+        return {
+            recruiterContactWithin: 20000,
+            recruiterMaxProjectTime: 30000,
+            developerProjectTime: 60000,
+            developerDetailTime: 20000,
+            mobileMaxWidth: 768
+        };
+    }
+
+    // Referrer hosts per source; subdomains match too, so 'google.' also covers google.co.uk
+    static get SOURCES() {
+        return {
+            search: ['google.', 'bing.com', 'duckduckgo.com', 'search.yahoo.com', 'ecosia.org', 'baidu.com', 'yandex.'],
+            linkedin: ['linkedin.com', 'lnkd.in'],
+            github: ['github.com'],
+            social: ['twitter.com', 'x.com', 't.co', 'facebook.com', 'instagram.com', 'reddit.com', 'news.ycombinator.com', 'mastodon.social'],
+            email: ['mail.google.com', 'outlook.live.com', 'mail.yahoo.com']
+        };
+    }
+
+    isKnown(segment) {
+        if (VisitorSegments.SEGMENTS.includes(segment)) {
+            return true;
+        }
+        return /^referral:[a-z0-9-]+$/.test(segment);
+    }
+
+    // Campaign parameters win over the referrer; only the source name is ever kept, never the
+    // referring URL itself
+    classifyReferral(url, referrer) {
+        const direct = { source: 'direct', medium: null, campaign: null };
+        let params;
+        try {
+            params = new URL(url).searchParams;
+        } catch (e) {
+            return direct;
+        }
+
+        const utmSource = params.get('utm_source');
+        if (utmSource) {
+            return {
+                source: this.matchSource(utmSource) || this.normalizeSource(utmSource),
+                medium: this.normalizeSource(params.get('utm_medium')),
+                campaign: this.normalizeSource(params.get('utm_campaign'))
+            };
+        }
+
+        if (!referrer) {
+            return direct;
+        }
+
+        let host;
+        try {
+            host = new URL(referrer).hostname.toLowerCase();
+        } catch (e) {
+            return direct;
+        }
+        // Moving between pages of this site isn't a referral
+        if (host === new URL(url).hostname.toLowerCase()) {
+            return direct;
+        }
+
+        return { source: this.matchSource(host) || 'other', medium: 'referral', campaign: null };
+    }
+
+    // Longest match first, so mail.google.com counts as email rather than search. A bare name
+    // such as utm_source=linkedin matches the host it stands for.
+    matchSource(host) {
+        const value = host.toLowerCase();
+        let best = null;
+        Object.entries(VisitorSegments.SOURCES).forEach(([source, hosts]) => {
+            hosts.forEach(pattern => {
+                const matches = pattern.endsWith('.')
+                    ? value.startsWith(pattern) || value.includes(`.${pattern}`) || value === pattern.slice(0, -1)
+                    : value === pattern || value.endsWith(`.${pattern}`) || value === pattern.split('.')[0];
+                if (matches && (!best || pattern.length > best.length)) {
+                    best = { source, length: pattern.length };
+                }
+            });
+        });
+        return best ? best.source : null;
+    }
+
+    normalizeSource(value) {
+        if (!value) return null;
+        const normalized = String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+        return normalized || null;
+    }
+
+    getReferral() {
+        return { ...this.referral };
+    }
+
+    isMobile() {
+        if (navigator.userAgentData && typeof navigator.userAgentData.mobile === 'boolean') {
+            return navigator.userAgentData.mobile;
+        }
+        const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        return !!coarse && window.innerWidth <= this.thresholds.mobileMaxWidth;
+    }
+
+    // Segments for the given tracker data; a visitor can be in several at once
+    classify(data) {
+        const t = this.thresholds;
+        const segments = [];
+        const projectTime = (data.timeOnSections && data.timeOnSections.projects) || 0;
+        const detailTime = Object.values(data.projects || {}).reduce((max, stats) => Math.max(max, stats.detailTime || 0), 0);
+
+        if (data.contactReachTime !== null && data.contactReachTime !== undefined &&
+            data.contactReachTime <= t.recruiterContactWithin && projectTime < t.recruiterMaxProjectTime) {
+            segments.push('recruiter');
+        }
+        if (projectTime >= t.developerProjectTime || detailTime >= t.developerDetailTime) {
+            segments.push('developer');
+        }
+        if (data.visitCount > 1) {
+            segments.push('returning');
+        }
+        if (this.isMobile()) {
+            segments.push('mobile');
+        }
+
+        // This visit's source, or the last one recorded if they came back directly
+        const acquired = data.acquisition && data.acquisition.source;
+        const source = this.referral.source !== 'direct' ? this.referral.source : acquired;
+        if (source && source !== 'direct') {
+            segments.push('referral', `referral:${source}`);
+        }
+
+        return segments;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VisitorSegments };
+}